@@ -1,9 +1,16 @@
 const Ajv = require('ajv').default || require('ajv');
+const Ajv2019 = require('ajv/dist/2019').default;
+const Ajv2020 = require('ajv/dist/2020').default;
+const { _ } = require('ajv');
+const standaloneCode = require('ajv/dist/standalone').default;
 const addFormats = require('ajv-formats');
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const generateSchema = require('generate-schema');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
+const { StringDecoder } = require('string_decoder');
 const { faker } = require('@faker-js/faker');
 const yaml = require('js-yaml');
 const { parse } = require('graphql');
@@ -30,10 +37,30 @@ const piiPatterns = {
   emailAddress: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/
 };
 
+// Phone numbers in international notation (+31 6 12345678); only used to redact generated `examples`
+const INTERNATIONAL_PHONE_PATTERN = /\+\d[\d\s().-]{6,}\d/;
+
+// Stand-ins written into generated `examples` in place of values matching a PII pattern
+const piiPlaceholders = {
+  internationalPhone: '+00 000 000000',
+  ssn: '000-00-0000',
+  creditCard: '0000 0000 0000 0000',
+  phoneNumber: '555-555-0100',
+  emailAddress: 'user@example.com'
+};
+
+// Field names whose values identify a person even when no PII pattern matches; they get no examples,
+// whatever the type of their values (a phone or account number may be stored as a number)
+const PII_FIELD_NAMES = new RegExp([
+  '(first|last|full|given|family|middle|user)[_-]?name', 'birth', 'dob(?![a-z])', 'passport', 'iban',
+  'account[_-]?(number|no)', 'phone', 'mobile', 'e[_-]?mail', 'address', 'street', 'post[_-]?code', 'zip',
+].join('|'), 'i');
+
 /**
  * Ordered list of JSON Schema format detectors.
  * Evaluated top-to-bottom; first match wins.
  * Each entry: { format: string, test: (value: string) => boolean }
+ * Every SchemaValidator starts from a copy of this list; see `registerFormat`.
  *
  * Supported formats (industry-standard JSON Schema / ajv-formats):
  *   date-time  – ISO 8601 full timestamp  e.g. 2024-07-25T13:36:08.365Z
@@ -117,10 +144,138 @@ const FORMAT_PATTERNS = [
   },
 ];
 
+/**
+ * Supported JSON Schema drafts: the `$schema` URI written into generated schemas
+ * and the Ajv class that validates schemas declaring it.
+ */
+const JSON_SCHEMA_DRAFTS = {
+  'draft-07': { uri: 'http://json-schema.org/draft-07/schema#', AjvClass: Ajv },
+  '2019-09': { uri: 'https://json-schema.org/draft/2019-09/schema', AjvClass: Ajv2019 },
+  '2020-12': { uri: 'https://json-schema.org/draft/2020-12/schema', AjvClass: Ajv2020 },
+};
+
+/**
+ * Keywords whose values are subschemas, grouped by shape.
+ * Used to walk a schema without mistaking property names (e.g. a field called "items") for keywords.
+ *   single – one subschema          list – array of subschemas          map – name → subschema
+ * `items` appears twice because it is a single schema or a tuple depending on the draft.
+ */
+const SUBSCHEMA_KEYWORDS = {
+  single: ['items', 'additionalItems', 'additionalProperties', 'unevaluatedItems', 'unevaluatedProperties',
+    'contains', 'propertyNames', 'not', 'if', 'then', 'else'],
+  list: ['items', 'prefixItems', 'allOf', 'anyOf', 'oneOf'],
+  map: ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas', 'dependencies'],
+};
+
+/**
+ * Default options for schema generation (`createJsonSchema`, `learnSchema`).
+ * All inference beyond types, nullability and formats is opt-in.
+ *
+ *   inferEnums     – emit `enum` for low-cardinality string fields
+ *   enumMaxValues  – maximum number of distinct values an inferred enum may hold
+ *   enumMaxRatio   – maximum ratio of distinct values to non-null samples (0.5 → every value seen at least twice on average)
+ *   inferRanges    – emit `minimum` / `maximum` from the observed numeric values
+ *   rangeMargin    – widen inferred bounds by this fraction of their magnitude (0.1 → 10%)
+ *   inferMultipleOf – emit `multipleOf` for decimals with a fixed precision (e.g. 0.01 for prices)
+ *   inferLengths   – emit `minLength` / `maxLength` for strings without a detected format
+ *   inferPatterns  – emit a `pattern` when every sample shares one character-class shape
+ *   inferDiscriminators – split heterogeneous objects into a `oneOf` keyed by a discriminator field
+ *   deduplicate    – hoist structurally identical object subschemas into `definitions` / `$defs`
+ *   annotate       – add `title`, `description` and PII-redacted `examples` to every property
+ *   maxExamples    – maximum number of distinct example values recorded per property
+ *   strict         – reject unknown properties on every object level (see `_applyStrict`)
+ */
+const SCHEMA_GENERATION_DEFAULTS = {
+  inferEnums: false,
+  enumMaxValues: 10,
+  enumMaxRatio: 0.5,
+  inferRanges: false,
+  rangeMargin: 0,
+  inferMultipleOf: false,
+  inferLengths: false,
+  inferPatterns: false,
+  inferDiscriminators: false,
+  deduplicate: false,
+  annotate: false,
+  maxExamples: 3,
+  strict: false,
+};
+
+/**
+ * Keyword groups used by `regenerateSchema` to tell generated keywords from hand-written ones.
+ *   generated   – always decided by inference; the regenerated schema wins
+ *   inferred    – decided by inference only while the matching option is enabled
+ *   annotations – hand-written keywords kept even when a field's type changes
+ * Any other keyword on the existing schema is kept while the field's type stays compatible.
+ */
+const REGENERATION_KEYWORDS = {
+  generated: ['$schema', 'type', 'format', 'properties', 'required', 'items', 'oneOf', 'const',
+    'definitions', '$defs', '$ref'],
+  inferred: {
+    inferEnums: ['enum'],
+    inferRanges: ['minimum', 'maximum'],
+    inferMultipleOf: ['multipleOf'],
+    inferLengths: ['minLength', 'maxLength'],
+    inferPatterns: ['pattern'],
+  },
+  annotations: ['title', 'description', 'examples', '$comment', 'deprecated'],
+};
+
+// Field names that conventionally carry an object's variant; preferred when detecting discriminators
+const DISCRIMINATOR_NAMES = ['type', 'kind', 'eventType', '@type', 'objectType', 'event', 'category'];
+
+// Base URI of the `$id` given to schema files at validation time; the rest is the file's path under schemaBasePath
+const SCHEMA_ID_BASE = 'https://schemas.local/';
+
+// Decimals with more places than this look like measured values rather than a fixed step
+const MULTIPLE_OF_MAX_DECIMALS = 4;
+
+// Minimum string-similarity rating (0-1) before a near miss is reported as "did you mean"
+const SUGGESTION_MIN_SIMILARITY = 0.6;
+
+// Schemas without an $id compiled per Ajv instance and kept for reuse by content; the least recently used go first
+const COMPILED_BY_CONTENT_LIMIT = 500;
+
+// Layout of the validator modules written by precompileAll; part of their hash, so modules in an older layout are not loaded
+const PRECOMPILED_MODULE_VERSION = 2;
+
+// Schema keyword holding cross-field business rules; the sidecar `<name>_rules.json` holds more
+const RULES_KEYWORD = 'x-rules';
+
+// Strings compared as dates in rule expressions: ISO 8601 dates and date-times (date, time, zone)
+const RULE_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Functions available in rule expressions
+const RULE_FUNCTIONS = {
+  length: (value) => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : undefined;
+  },
+  // Milliseconds since the epoch. ISO dates and date-times without a zone are taken as UTC, so a date
+  // and a date-time compare the same on every machine (Date.parse reads the latter as local time)
+  date: (value) => {
+    let time = NaN;
+    if (typeof value === 'number') {
+      time = value;
+    } else if (typeof value === 'string') {
+      const match = value.match(RULE_DATE_PATTERN);
+      time = match
+        ? Date.parse(`${match[1]}T${match[2] || '00:00'}${match[3] ? match[3].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : 'Z'}`)
+        : Date.parse(value);
+    }
+    return Number.isNaN(time) ? undefined : time;
+  },
+  exists: (value) => value !== undefined && value !== null,
+  now: () => Date.now(),
+};
+
 /**
  * SchemaValidator - A flexible JSON schema validation library
+ *
+ * Emits `schemaReloaded` ({ folderName, fileName, schemaPath, reason }) when a cached schema is
+ * reloaded because its file (or a file it references) changed on disk.
  */
-class SchemaValidator {
+class SchemaValidator extends EventEmitter {
   /**
    * Initialize the SchemaValidator with schema directory
    * 
@@ -142,18 +297,490 @@ class SchemaValidator {
    */
   _detectFormat(value) {
     if (typeof value !== 'string' || value.trim() === '') return null;
-    for (const { format, test } of FORMAT_PATTERNS) {
-      if (test(value)) return format;
+    for (const { format, test } of this._formatDetectors) {
+      if (test && test(value)) return format;
     }
     return null;
   }
 
+  /**
+   * Register every format added through `registerFormat` on an Ajv instance.
+   * Formats without a `validate` or `detect` function accept any string so schemas
+   * that mention them still compile.
+   * @param {Ajv} ajv
+   */
+  _registerFormats(ajv) {
+    for (const [name, { validate }] of this._registeredFormats) {
+      ajv.addFormat(name, validate ? { type: 'string', validate } : true);
+    }
+  }
+
+  /**
+   * Register every keyword added through `registerKeyword` on an Ajv instance.
+   * Keywords without `validate` are added as annotations so schemas that use them still compile.
+   * @param {Ajv} ajv
+   */
+  _registerKeywords(ajv) {
+    for (const [keyword, { type, schemaType, validate, message }] of this._registeredKeywords) {
+      if (!validate) {
+        ajv.addKeyword({ keyword, schemaType });
+        continue;
+      }
+      const check = (schemaValue, data, parentSchema, dataContext) => {
+        const valid = validate(schemaValue, data, parentSchema, dataContext) !== false;
+        if (!valid) {
+          check.errors = [{
+            keyword,
+            message: typeof message === 'function'
+              ? message(schemaValue, data, parentSchema)
+              : message || `must pass "${keyword}" validation`,
+            params: { [keyword]: schemaValue },
+          }];
+        }
+        return valid;
+      };
+      ajv.addKeyword({ keyword, type, schemaType, errors: true, validate: check });
+    }
+  }
+
+  /**
+   * Resolve which supported draft a schema is written in.
+   * Falls back to the validator's `draft` option when the schema has no `$schema`;
+   * any other `$schema` (draft-07, draft-06, …) is handled by the default Ajv class.
+   * @param {object} schema
+   * @returns {string} Key of JSON_SCHEMA_DRAFTS
+   */
+  _draftOf(schema) {
+    const uri = schema && typeof schema.$schema === 'string' ? schema.$schema : null;
+    if (!uri) return this.options.draft;
+    if (uri.includes('2020-12')) return '2020-12';
+    if (uri.includes('2019-09')) return '2019-09';
+    return 'draft-07';
+  }
+
+  /**
+   * Create an Ajv instance able to compile `schema`: picks the Ajv class matching the
+   * schema's draft, then adds ajv-formats, any extra formats and the registered formats.
+   * @param {object} schema - Schema that will be compiled (used to pick the draft)
+   * @param {object} [ajvOptions] - Ajv constructor options
+   * @param {object} [extraFormats] - Format name → RegExp, regex source or Ajv format definition
+   * @returns {Ajv}
+   */
+  _createAjv(schema, ajvOptions = {}, extraFormats = {}) {
+    const { AjvClass } = JSON_SCHEMA_DRAFTS[this._draftOf(schema)];
+    const ajv = new AjvClass(ajvOptions);
+    addFormats(ajv);
+    for (const [formatName, pattern] of Object.entries(extraFormats)) {
+      ajv.addFormat(formatName, typeof pattern === 'string' ? new RegExp(pattern) : pattern);
+    }
+    this._registerFormats(ajv);
+    // Business rules are evaluated after validation (see _ruleViolations); Ajv only has to accept them
+    if (!this._registeredKeywords.has(RULES_KEYWORD)) ajv.addKeyword({ keyword: RULES_KEYWORD, schemaType: 'array' });
+    this._registerKeywords(ajv);
+    return ajv;
+  }
+
+  /**
+   * Return the Ajv instance shared by every validation method for a schema's draft.
+   * It is configured from the constructor options (allErrors, verbose, allowUnionTypes) and
+   * carries the built-in custom formats, `customFormats`, `additionalFormats` and registered formats.
+   * `overrides` selects a separately shared instance with different Ajv options (e.g. `validateSync`'s
+   * per-call `allErrors`).
+   * @param {object} schema - Schema that will be compiled (used to pick the draft)
+   * @param {object} [overrides] - Ajv options that differ from the constructor options
+   * @returns {Ajv}
+   */
+  _getAjv(schema, overrides = {}) {
+    const ajvOptions = this._ajvOptions(overrides);
+    const key = `${this._draftOf(schema)}:${JSON.stringify(ajvOptions)}`;
+    if (!this._ajvInstances.has(key)) {
+      this._ajvInstances.set(key, this._createAjv(schema, ajvOptions, this._configuredFormats()));
+    }
+    return this._ajvInstances.get(key);
+  }
+
+  /**
+   * Ajv options derived from the constructor options.
+   * @param {object} [overrides] - Options that take precedence
+   * @returns {object}
+   */
+  _ajvOptions(overrides = {}) {
+    return {
+      allErrors: this.options.allErrors,
+      verbose: this.options.verbose,
+      allowUnionTypes: this.options.allowUnionTypes,
+      // Keeps decimal steps such as 0.01 from failing on float rounding
+      multipleOfPrecision: 10,
+      ...overrides,
+    };
+  }
+
+  /**
+   * Per-call Ajv option defaults for a method that used to build its own Ajv instance with them
+   * (e.g. `allErrors: true` for `validateRequest`). Options passed to the constructor take precedence.
+   * @param {object} defaults - The method's Ajv option defaults
+   * @returns {object} Overrides for `_getAjv` / `_compile`
+   */
+  _methodDefaults(defaults) {
+    return Object.fromEntries(Object.entries(defaults).filter(([name]) => !this._explicitOptions.has(name)));
+  }
+
+  /**
+   * Formats every Ajv instance gets on top of ajv-formats: the built-in custom formats,
+   * then the constructor's `additionalFormats` and `customFormats` (later entries win).
+   * @returns {object} Format name → RegExp, regex source or Ajv format definition
+   */
+  _configuredFormats() {
+    return { ...customFormats, ...this.options.additionalFormats, ...this.options.customFormats };
+  }
+
+  /**
+   * Compile a schema with the shared Ajv instance. Ajv caches compiled functions per schema
+   * object, so schemas without an `$id` are looked up by content first: callers that build or parse
+   * a fresh but identical object on every call reuse one compiled function instead of filling Ajv's
+   * cache. At most COMPILED_BY_CONTENT_LIMIT of them are kept per instance. A schema whose `$id` is
+   * already registered with different content (e.g. the file changed) replaces the old registration.
+   * @param {object} schema
+   * @param {object} [overrides] - Ajv options that differ from the constructor options (see `_getAjv`)
+   * @returns {Function} Ajv validate function
+   */
+  _compile(schema, overrides) {
+    return this._compileWith(this._getAjv(schema, overrides), schema);
+  }
+
+  /**
+   * Compile a schema on a given Ajv instance; see `_compile` for how `$id` clashes are handled.
+   * @param {Ajv} ajv
+   * @param {object} schema
+   * @returns {Function} Ajv validate function
+   */
+  _compileWith(ajv, schema) {
+    if (schema && typeof schema.$id === 'string') {
+      const existing = ajv.getSchema(schema.$id);
+      if (existing && existing.schema !== schema) {
+        if (this._canonicalJson(existing.schema) === this._canonicalJson(schema)) return existing;
+        ajv.removeSchema(schema.$id);
+      }
+      return this._countCompiled(ajv.compile(schema));
+    }
+
+    if (!schema || typeof schema !== 'object') return this._countCompiled(ajv.compile(schema));
+    if (!this._compiledByContent.has(ajv)) this._compiledByContent.set(ajv, new Map());
+    const compiled = this._compiledByContent.get(ajv);
+    const content = this._canonicalJson(schema);
+    const validate = compiled.get(content) || this._countCompiled(ajv.compile(schema));
+    // Re-inserting keeps the map in least recently used order
+    compiled.delete(content);
+    compiled.set(content, validate);
+    if (compiled.size > COMPILED_BY_CONTENT_LIMIT) {
+      const [[oldest, evicted]] = compiled;
+      compiled.delete(oldest);
+      // Ajv keeps its own compiled copy per schema object until the schema is removed
+      ajv.removeSchema(evicted.schema);
+    }
+    return validate;
+  }
+
+  /**
+   * Count a validate function returned by `ajv.compile` for `getCacheStats`, once: Ajv returns the
+   * function it already compiled for a schema object it has seen.
+   * @param {Function} validate
+   * @returns {Function} The same function
+   */
+  _countCompiled(validate) {
+    if (!this._compiledFunctions.has(validate)) {
+      this._compiledFunctions.add(validate);
+      this._compiledSchemaCount++;
+    }
+    return validate;
+  }
+
+  /**
+   * Compile a schema loaded from a file under `schemaBasePath`, resolving cross-file references.
+   * The schema gets a stable `$id` derived from its path (see `_schemaIdFor`), so relative refs such as
+   * `{ "$ref": "../common/Money_schema.json#/definitions/amount" }` resolve against the referencing file.
+   * Every referenced file is loaded (recursively, cycles included) and registered under its `$id`.
+   * A file (root or referenced) that declares its own `$id` keeps it, so absolute refs to it resolve; the path-based id
+   * is then registered as an alias, and the files it references relatively also under their URL relative
+   * to that `$id`. Its strict variant is registered under the path-based id, and its absolute
+   * self-references point at the lenient variant.
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath - Path the schema was read from
+   * @param {object} [options]
+   * @param {boolean} [options.strict=false] - Close the schema's own objects (see `_applyStrict`)
+   * @param {Ajv} [options.ajv] - Ajv instance to use instead of the shared one
+   * @returns {Function} Ajv validate function
+   */
+  _compileSchemaFile(schema, schemaFilePath, { strict = false, ajv } = {}) {
+    const id = this._schemaIdFor(schemaFilePath);
+    const key = strict ? `${id}?strict` : id;
+    const ownId = typeof schema.$id === 'string' ? schema.$id : null;
+    // Strict and lenient variants of one file must not share an $id
+    const root = ownId && !strict ? schema : { ...(strict ? this._applyStrict(schema) : schema), $id: key };
+    const instance = ajv || this._getAjv(root);
+
+    const referencedSchemas = this._loadReferencedSchemas(schema, schemaFilePath);
+    const references = [...referencedSchemas].map(([refId, referenced]) => `${refId} ${this._canonicalJson(referenced)}`).join('\n');
+    // A registered root compiled against other versions of the files it references is stale even
+    // when its own content is unchanged; so are the referenced schemas compiled back then
+    const previous = instance.getSchema(root.$id);
+    if (previous && this._compiledReferences.has(previous) && this._compiledReferences.get(previous) !== references) {
+      instance.removeSchema(root.$id);
+      for (const [refId, referenced] of referencedSchemas) {
+        instance.removeSchema(refId);
+        instance.removeSchema(referenced.$id);
+      }
+    }
+    for (const [refId, referenced] of referencedSchemas) {
+      const existing = this._registeredSchema(instance, referenced.$id);
+      if (!existing || this._canonicalJson(existing) !== this._canonicalJson(referenced)) {
+        for (const staleId of new Set([refId, referenced.$id])) instance.removeSchema(staleId);
+        instance.addSchema(referenced);
+      }
+      this._aliasSchema(instance, refId, referenced.$id);
+    }
+    for (const [refId, referenced] of referencedSchemas) {
+      if (referenced.$id !== refId) {
+        this._aliasRelativeRefs(instance, referenced, path.resolve(this.schemaBasePath, refId.slice(SCHEMA_ID_BASE.length)));
+      }
+    }
+    if (!ownId || strict) {
+      if (ownId) this._compileSchemaFile(schema, schemaFilePath, { ajv: instance });
+      const validate = this._compileWith(instance, root);
+      this._compiledReferences.set(validate, references);
+      return validate;
+    }
+
+    this._aliasRelativeRefs(instance, schema, schemaFilePath);
+    const validate = this._compileWith(instance, root);
+    this._compiledReferences.set(validate, references);
+    if (instance.getSchema(key) !== validate) {
+      instance.removeSchema(key);
+      instance.addSchema(validate.schema, key);
+    }
+    return validate;
+  }
+
+  /**
+   * Schema object registered on an Ajv instance under a key or `$id`. Unlike `ajv.getSchema`, this does
+   * not compile it, so it can be used while the schemas it references are still being registered.
+   * @param {Ajv} ajv
+   * @param {string} key
+   * @returns {object|undefined}
+   */
+  _registeredSchema(ajv, key) {
+    const entry = ajv.schemas[key] || ajv.refs[key];
+    return entry && typeof entry === 'object' ? entry.schema : undefined;
+  }
+
+  /**
+   * Register the schema known under `key` under `alias` as well, replacing a stale alias.
+   * @param {Ajv} ajv
+   * @param {string} alias
+   * @param {string} key
+   */
+  _aliasSchema(ajv, alias, key) {
+    const schema = this._registeredSchema(ajv, key);
+    if (!schema || this._registeredSchema(ajv, alias) === schema) return;
+    // Only a stale alias is removed: removing drops the compiled entry the alias points at
+    ajv.removeSchema(alias);
+    ajv.addSchema(schema, alias);
+  }
+
+  /**
+   * For a schema file that declares its own `$id`, register the files it references relatively under
+   * the URL those refs resolve to against that `$id` (they are registered under their path-based id).
+   * @param {Ajv} ajv
+   * @param {object} schema - Schema file content with its own `$id`
+   * @param {string} schemaFilePath
+   */
+  _aliasRelativeRefs(ajv, schema, schemaFilePath) {
+    for (const ref of this._externalRefs(schema)) {
+      let alias;
+      try {
+        alias = new URL(ref.split('#')[0], schema.$id).href;
+      } catch (error) {
+        continue; // $id is not a URL relative refs can resolve against (e.g. a urn:)
+      }
+      const target = path.resolve(path.dirname(schemaFilePath), decodeURIComponent(ref.split('#')[0]));
+      this._aliasSchema(ajv, alias, this._schemaIdFor(target));
+    }
+  }
+
+  /**
+   * Load every schema file reachable through relative `$ref`s from `schema`, each keeping the `$id`
+   * it declares or getting `_schemaIdFor(file)`. Refs with a URI scheme (`https:`, `urn:`) and local `#…` refs are
+   * left to Ajv. Files referencing each other (or the root) are loaded once. The referenced files are
+   * remembered for cache invalidation (see `_schemaLoaded`).
+   * @param {object} schema - Root schema
+   * @param {string} schemaFilePath - Path of the root schema
+   * @returns {Map<string, object>} `_schemaIdFor(file)` → referenced schema
+   * @throws {Error} When a ref points outside `schemaBasePath` or at a missing file
+   */
+  _loadReferencedSchemas(schema, schemaFilePath) {
+    const loaded = new Map();
+    const seen = new Set([this._schemaIdFor(schemaFilePath)]);
+
+    const visit = (node, filePath) => {
+      for (const ref of this._externalRefs(node)) {
+        const target = path.resolve(path.dirname(filePath), decodeURIComponent(ref.split('#')[0]));
+        const relative = path.relative(path.resolve(this.schemaBasePath), target);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+          throw new Error(`$ref "${ref}" in ${filePath} points outside the schema base path`);
+        }
+        const id = this._schemaIdFor(target);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (!fs.existsSync(target)) {
+          throw new Error(`$ref "${ref}" in ${filePath} cannot be resolved: ${target} not found`);
+        }
+        const content = JSON.parse(fs.readFileSync(target, 'utf8'));
+        const referenced = typeof content.$id === 'string' ? content : { ...content, $id: id };
+        loaded.set(id, referenced);
+        visit(referenced, target);
+      }
+    };
+
+    visit(schema, schemaFilePath);
+    this._schemaReferences.set(path.resolve(schemaFilePath),
+      [...loaded.keys()].map((id) => path.resolve(this.schemaBasePath, id.slice(SCHEMA_ID_BASE.length))));
+    return loaded;
+  }
+
+  /**
+   * Validator for a schema file: the precompiled module written by `precompileAll` when its hash
+   * still matches, otherwise a fresh compile (`_compileSchemaFile`). Strict variants are always compiled.
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath - Path the schema was read from
+   * @param {object} [options]
+   * @param {boolean} [options.strict=false]
+   * @returns {Function} Ajv validate function
+   */
+  _loadValidator(schema, schemaFilePath, { strict = false } = {}) {
+    if (!strict) {
+      const precompiled = this._loadPrecompiled(schema, schemaFilePath);
+      if (precompiled) return precompiled;
+    }
+    return this._compileSchemaFile(schema, schemaFilePath, { strict });
+  }
+
+  /**
+   * Path of the precompiled validator module for a schema file: `Users_schema.json` → `Users_validator.js`.
+   * @param {string} schemaFilePath
+   * @returns {string}
+   */
+  _precompiledPath(schemaFilePath) {
+    return schemaFilePath.replace(/_schema\.json$/, '_validator.js');
+  }
+
+  /**
+   * Hash identifying everything a compiled validator depends on: the module layout, the schema and the files it
+   * references, the Ajv options, the draft, the names of the configured formats and the registered
+   * keywords (a keyword that gains a `validate` function must not be skipped by an older module).
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath
+   * @returns {string} SHA-256 hex digest
+   */
+  _validatorHash(schema, schemaFilePath) {
+    const referenced = [...this._loadReferencedSchemas(schema, schemaFilePath)]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([id, refSchema]) => `${id} ${this._canonicalJson(refSchema)}`);
+    return crypto.createHash('sha256')
+      .update([
+        `module-version:${PRECOMPILED_MODULE_VERSION}`,
+        this._schemaIdFor(schemaFilePath),
+        this._draftOf(schema),
+        JSON.stringify(this._ajvOptions()),
+        Object.keys(this._getAjv(schema).formats).sort().join(','),
+        [...this._registeredKeywords].map(([name, { validate }]) => `${name}:${validate ? 'validate' : 'annotation'}`)
+          .sort().join(','),
+        this._canonicalJson(schema),
+        ...referenced,
+      ].join('\n'))
+      .digest('hex');
+  }
+
+  /**
+   * Load the precompiled validator module next to a schema file, if there is one and its
+   * `// schema-hash:` header matches the schema as it is now. The module is loaded with `require`
+   * and dropped from `require.cache` again, so a module rewritten by `precompileAll` is picked up.
+   * The module exports a factory that is called with this instance's Ajv formats, so format
+   * implementations are never stale.
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath
+   * @returns {Function|null} Validate function, or null when missing or outdated
+   */
+  _loadPrecompiled(schema, schemaFilePath) {
+    const modulePath = this._precompiledPath(schemaFilePath);
+    if (!fs.existsSync(modulePath)) return null;
+    const code = fs.readFileSync(modulePath, 'utf8');
+    const header = code.match(/^\/\/ schema-hash: ([0-9a-f]+)\n/);
+    if (!header || header[1] !== this._validatorHash(schema, schemaFilePath)) return null;
+
+    const resolvedPath = path.resolve(modulePath);
+    delete require.cache[resolvedPath];
+    let createValidator;
+    try {
+      createValidator = require(resolvedPath);
+    } finally {
+      delete require.cache[resolvedPath];
+    }
+    const validate = createValidator(this._getAjv(schema).formats);
+    // Same shape as an Ajv-compiled function for callers that look at the schema
+    validate.schema = typeof schema.$id === 'string' ? schema : { ...schema, $id: this._schemaIdFor(schemaFilePath) };
+    return validate;
+  }
+
+  /**
+   * Collect the distinct `$ref` values in a schema that point at another file (no `#` prefix, no URI scheme).
+   * @param {*} node
+   * @param {Set<string>} [refs]
+   * @returns {Set<string>}
+   */
+  _externalRefs(node, refs = new Set()) {
+    if (Array.isArray(node)) {
+      node.forEach((child) => this._externalRefs(child, refs));
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        if (key === '$ref' && typeof value === 'string' && !value.startsWith('#') &&
+          !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+          refs.add(value);
+        } else {
+          this._externalRefs(value, refs);
+        }
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Stable `$id` for a schema file: SCHEMA_ID_BASE plus its path relative to `schemaBasePath`,
+   * e.g. 'https://schemas.local/vpp/Asset Manager/Assets_schema.json'. Independent of the machine
+   * and working directory, so compiled schemas and error locations are reproducible.
+   * @param {string} filePath
+   * @returns {string}
+   */
+  _schemaIdFor(filePath) {
+    const relative = path.relative(path.resolve(this.schemaBasePath), path.resolve(filePath));
+    return SCHEMA_ID_BASE + relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Drop a schema object from every shared Ajv instance so a stale compiled copy is not kept alive.
+   * @param {object} schema
+   */
+  _releaseSchema(schema) {
+    if (!schema || typeof schema !== 'object') return;
+    for (const ajv of this._ajvInstances.values()) ajv.removeSchema(schema);
+  }
+
   /**
    * Build a JSON Schema type fragment for a single value.
    * - null            → { type: 'null' }
    * - Array           → { type: 'array' }
    * - object          → { type: 'object' }
    * - string w/format → { type: 'string', format: '<detected>' }
+   * - whole number    → { type: 'integer' } (callers widen a lone sample to `number`)
    * - other           → { type: typeof value }
    * @param {*} value
    * @returns {object}
@@ -166,6 +793,7 @@ class SchemaValidator {
       const fmt = this._detectFormat(value);
       return fmt ? { type: 'string', format: fmt } : { type: 'string' };
     }
+    if (typeof value === 'number' && Number.isInteger(value)) return { type: 'integer' };
     return { type: typeof value };
   }
 
@@ -173,135 +801,1099 @@ class SchemaValidator {
    * Scan ALL items in an array to build a type-descriptor map that correctly
    * handles nullable fields and consistent format detection across the dataset.
    *
-   * Strategy per field:
+   * Strategy per field (see `_describeValues`):
    *   1. Collect the set of non-null base types seen across all items.
    *   2. If any item has null (or is missing the field), mark nullable.
    *   3. If every non-null value agrees on a single format, record it.
+   *   4. Nested objects and arrays are described recursively from every occurrence.
    *
    * Edge-cases handled:
    *   - Field present in some items but absent in others → nullable
    *   - Field is sometimes null, sometimes a timestamp   → { type: ["string", "null"], format: "date-time" }
    *   - Field has mixed non-null types (e.g. number + string) → union type, no format
+   *   - Field is an integer in some items and a decimal in others → number
+   *   - Nested object (e.g. `location`)                   → properties + required merged across all items
+   *   - Nested array of objects (e.g. `contracts[]`)      → items merged across every element of every item
    *
    * @param {object[]} items - Array of sample objects
+   * @param {object} [options] - Schema generation options (see SCHEMA_GENERATION_DEFAULTS)
    * @returns {{ [key: string]: object }} Map of field name → JSON Schema type fragment
    */
-  _mergeTypeInfo(items) {
-    // Gather info: field → { types: Set<string>, formats: Set<string>, hasNull: boolean }
+  _mergeTypeInfo(items, options = SCHEMA_GENERATION_DEFAULTS) {
     const allKeys = new Set(items.flatMap((item) => Object.keys(item)));
-    const fieldMeta = {};
+    const result = {};
 
     for (const key of allKeys) {
-      fieldMeta[key] = { types: new Set(), formats: new Set(), hasNull: false };
+      // Field missing from an item is passed as `undefined` → treated as nullable
+      const values = items.map((item) =>
+        (Object.prototype.hasOwnProperty.call(item, key) ? item[key] : undefined)
+      );
+      result[key] = this._describeValues(values, options);
+      if (options.annotate) Object.assign(result[key], this._annotationsFor(key, values, result[key], options));
     }
+    return result;
+  }
 
-    for (const item of items) {
-      for (const key of allKeys) {
-        const meta = fieldMeta[key];
-        if (!Object.prototype.hasOwnProperty.call(item, key)) {
-          // Field missing from this item → treat as nullable
-          meta.hasNull = true;
-          continue;
-        }
-        const value = item[key];
-        if (value === null) {
-          meta.hasNull = true;
-        } else {
-          const descriptor = this._getTypeDescriptor(value);
-          meta.types.add(descriptor.type);
-          if (descriptor.format) meta.formats.add(descriptor.format);
-        }
+  /**
+   * Derive documentation keywords for a property from its name and sampled values:
+   *   title       – words of the camelCase / snake_case / kebab-case name ("createdAt" → "Created At")
+   *   description – the title in sentence case plus the inferred type or format ("Created at (date-time)")
+   *   examples    – up to `maxExamples` distinct primitive values, with PII replaced by placeholders;
+   *                 omitted for fields whose name suggests personal data (see PII_FIELD_NAMES)
+   * @param {string} name - Property name
+   * @param {Array<*>} values - Sampled values (`undefined` when absent)
+   * @param {object} descriptor - Inferred schema fragment for the property
+   * @param {object} options - Schema generation options (maxExamples)
+   * @returns {{ title: string, description: string, examples?: Array<*> }}
+   */
+  _annotationsFor(name, values, descriptor, options) {
+    const title = name
+      .replace(/[_\-\s]+/g, ' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .trim()
+      .split(' ')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+    const types = this._typeList(descriptor);
+    const kind = descriptor.format || types.filter((t) => t !== 'null').join(' or ') || 'null';
+    const sentence = title.split(' ')
+      .map((word, i) => (i === 0 || word === word.toUpperCase() ? word : word.toLowerCase()))
+      .join(' ');
+    const annotations = {
+      title,
+      description: `${sentence} (${kind}${types.includes('null') ? ', nullable' : ''})`,
+    };
+
+    if (!PII_FIELD_NAMES.test(name)) {
+      const primitives = values.filter((v) => v !== null && v !== undefined && typeof v !== 'object');
+      const examples = [...new Set(primitives.map((v) => this._redactExample(v)))].slice(0, options.maxExamples);
+      if (examples.length > 0) annotations.examples = examples;
+    }
+    return annotations;
+  }
+
+  /**
+   * Replace every PII match in a string with a format-preserving placeholder (see piiPlaceholders),
+   * including international phone numbers. Non-string values are returned unchanged.
+   * @param {*} value
+   * @returns {*}
+   */
+  _redactExample(value) {
+    if (typeof value !== 'string') return value;
+    const patterns = { internationalPhone: INTERNATIONAL_PHONE_PATTERN, ...piiPatterns };
+    return Object.entries(patterns).reduce((redacted, [type, pattern]) =>
+      redacted.replace(new RegExp(pattern.source, `${pattern.flags}g`), piiPlaceholders[type]), value);
+  }
+
+  /**
+   * Build one JSON Schema type fragment describing every value seen at a single location.
+   * `null` and `undefined` (field absent) both make the fragment nullable.
+   * Objects recurse through `_mergeTypeInfo` / `_getRequiredFields`; arrays are
+   * flattened so their `items` describe every element of every occurrence.
+   *
+   * @param {Array<*>} values - All sampled values for one field or array slot
+   * @param {object} [options] - Schema generation options (see SCHEMA_GENERATION_DEFAULTS)
+   * @returns {object} JSON Schema type fragment
+   */
+  _describeValues(values, options = SCHEMA_GENERATION_DEFAULTS) {
+    // Gather info: { types: Set<string>, formats: Set<string>, hasNull: boolean, objects: [], arrays: [], strings: [] }
+    const meta = { types: new Set(), formats: new Set(), hasNull: false, objects: [], arrays: [], strings: [], numbers: [] };
+
+    for (const value of values) {
+      if (value === null || value === undefined) {
+        meta.hasNull = true;
+        continue;
       }
+      const descriptor = this._getTypeDescriptor(value);
+      meta.types.add(descriptor.type);
+      if (descriptor.format) meta.formats.add(descriptor.format);
+      if (descriptor.type === 'object') meta.objects.push(value);
+      if (descriptor.type === 'array') meta.arrays.push(value);
+      if (descriptor.type === 'string') meta.strings.push(value);
+      if (typeof value === 'number') meta.numbers.push(value);
     }
 
-    // Build final descriptors
-    const result = {};
-    for (const [key, meta] of Object.entries(fieldMeta)) {
-      const typeList = [...meta.types];
-      if (meta.hasNull) typeList.push('null');
+    // Integers are numbers too: one decimal sample widens the whole field, and a single whole number
+    // is no evidence that the field never holds decimals (`price: 10` may be 10.5 in the next response)
+    if (meta.types.has('integer') && (meta.types.has('number') || meta.numbers.length < 2)) {
+      meta.types.delete('integer');
+      meta.types.add('number');
+    }
+
+    const typeList = [...meta.types];
+    if (meta.hasNull) typeList.push('null');
 
-      const descriptor = typeList.length === 1
-        ? { type: typeList[0] }
-        : { type: typeList };
+    const descriptor = typeList.length === 1
+      ? { type: typeList[0] }
+      : { type: typeList };
+
+    // Only attach format when all non-null values agree on one format
+    if (meta.formats.size === 1) {
+      descriptor.format = [...meta.formats][0];
+    }
 
-      // Only attach format when all non-null values agree on one format
-      if (meta.formats.size === 1) {
-        descriptor.format = [...meta.formats][0];
+    // Enums only make sense for plain strings; formatted values (dates, ids) are never enumerated
+    if (options.inferEnums && meta.types.size === 1 && meta.strings.length > 0 && !descriptor.format) {
+      const enumValues = this._inferEnum(meta.strings, options);
+      if (enumValues) {
+        descriptor.enum = meta.hasNull ? [...enumValues, null] : enumValues;
       }
+    }
 
-      result[key] = descriptor;
+    if (meta.numbers.length > 0) {
+      Object.assign(descriptor, this._inferNumericKeywords(meta.numbers, options));
     }
-    return result;
-  }
 
-  /**
-   * Determine which fields are required (present and non-null in EVERY item).
-   * A field is optional if it is absent or null in at least one item.
-   * @param {object[]} items
-   * @returns {string[]}
-   */
-  _getRequiredFields(items) {
-    if (!items || items.length === 0) return [];
-    const allKeys = new Set(items.flatMap((item) => Object.keys(item)));
-    return [...allKeys].filter((key) =>
-      items.every(
-        (item) =>
-          Object.prototype.hasOwnProperty.call(item, key) && item[key] !== null
-      )
-    );
+    // Formats and enums already pin the value down; lengths / patterns would only duplicate them
+    if (meta.strings.length > 0 && !descriptor.format && !descriptor.enum) {
+      Object.assign(descriptor, this._inferStringKeywords(meta.strings, options));
+    }
+
+    if (meta.objects.length > 0) {
+      // Variants only make sense when every non-null value is an object
+      const discriminator = options.inferDiscriminators && meta.types.size === 1
+        ? this._detectDiscriminator(meta.objects, options)
+        : null;
+      if (discriminator) {
+        descriptor.oneOf = this._describeVariants(meta.objects, discriminator, options);
+        if (meta.hasNull) descriptor.oneOf.push({ type: 'null' });
+      } else {
+        descriptor.properties = this._mergeTypeInfo(meta.objects, options);
+        descriptor.required = this._getRequiredFields(meta.objects);
+      }
+    }
+
+    if (meta.arrays.length > 0) {
+      const elements = meta.arrays.flat();
+      if (elements.length > 0) {
+        descriptor.items = this._describeValues(elements, options);
+      }
+    }
+
+    return descriptor;
   }
 
   /**
-   * Walk a schema node alongside sample data and stamp `format` keywords wherever
-   * a string value matches a known format.  Handles union types (e.g. ["string","null"]).
+   * Find the field that tells the variants of a heterogeneous object list apart
+   * (e.g. `type: "meterReading"` vs `type: "tariffChange"`).
    *
-   * This is the fallback enrichment path for non-array / plain-object inputs where
-   * `_mergeTypeInfo` is not used.  For array inputs, `_mergeTypeInfo` is already called
-   * during schema construction so this method is a no-op for those paths.
+   * A candidate is a string field present in every object whose distinct values stay
+   * within `enumMaxValues`. Grouping by it must pay off: it scores one point for every field
+   * that is required in one group and never seen in another. The best-scoring candidate wins;
+   * ties go to conventional names (`type`, `kind`, …), then to fewer variants.
+   * Fields with unconventional names must also repeat values (`enumMaxRatio`) so ids are never picked.
    *
-   * @param {object} schema - Schema node (mutated in place)
-   * @param {*}      sample - Corresponding sample value
+   * @param {object[]} objects - Non-null object samples for one location
+   * @param {object} options - Schema generation options (enumMaxValues, enumMaxRatio)
+   * @returns {string|null} Discriminator field name, or `null` when the objects share one shape
    */
-  _enrichSchemaFormats(schema, sample) {
-    if (!schema || sample === undefined || sample === null) return;
+  _detectDiscriminator(objects, options) {
+    if (objects.length < 2) return null;
+    let best = null;
 
-    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const key of this._getRequiredFields(objects)) {
+      if (!objects.every((obj) => typeof obj[key] === 'string')) continue;
 
-    if (types.includes('string') && typeof sample === 'string') {
-      const fmt = this._detectFormat(sample);
-      if (fmt && !schema.format) schema.format = fmt;
-    } else if (types.includes('object') && schema.properties && typeof sample === 'object' && !Array.isArray(sample)) {
-      for (const key of Object.keys(schema.properties)) {
-        if (Object.prototype.hasOwnProperty.call(sample, key)) {
-          this._enrichSchemaFormats(schema.properties[key], sample[key]);
-        }
+      const groups = this._groupBy(objects, key);
+      if (groups.size < 2 || groups.size > options.enumMaxValues) continue;
+      const conventional = DISCRIMINATOR_NAMES.includes(key);
+      if (!conventional && groups.size / objects.length > options.enumMaxRatio) continue;
+
+      const shapes = [...groups.values()].map((group) => ({
+        required: this._getRequiredFields(group),
+        seen: new Set(group.flatMap((obj) => Object.keys(obj))),
+      }));
+      let score = 0;
+      for (const shape of shapes) {
+        score += shape.required.filter((field) => shapes.some((other) => !other.seen.has(field))).length;
       }
-    } else if (types.includes('array') && schema.items && Array.isArray(sample) && sample.length > 0) {
-      // For arrays, use all items if items schema is an object schema
-      if (schema.items.type === 'object' && schema.items.properties && sample.length > 0) {
-        const merged = this._mergeTypeInfo(sample.filter((i) => i && typeof i === 'object'));
-        for (const [key, descriptor] of Object.entries(merged)) {
-          if (schema.items.properties[key]) {
-            Object.assign(schema.items.properties[key], descriptor);
-          }
-        }
-      } else {
-        this._enrichSchemaFormats(schema.items, sample[0]);
+      if (score === 0) continue;
+
+      const candidate = { key, score, conventional, variants: groups.size };
+      if (!best ||
+        score > best.score ||
+        (score === best.score && conventional && !best.conventional) ||
+        (score === best.score && conventional === best.conventional && groups.size < best.variants)) {
+        best = candidate;
       }
     }
+    return best ? best.key : null;
   }
 
   /**
-   * Create a new SchemaValidator instance
-   * @param {string} schemaPathOrFolderName - Path to schema directory or folder name (in Bruno)
-   * @param {object} [options={}] - Configuration options
-   * @param {boolean} [options.allErrors=false] - Collect all errors instead of failing on first
-   * @param {boolean} [options.verbose=false] - Add extra information to errors
-   * @param {boolean} [options.allowUnionTypes=false] - Allow union types in schemas
-   * @param {object} [options.customFormats={}] - Custom format definitions
+   * Describe each variant of a discriminated object list as its own `oneOf` branch.
+   * Every branch pins the discriminator with `const` and carries the required fields of its group only.
+   * @param {object[]} objects - Non-null object samples
+   * @param {string} discriminator - Field returned by `_detectDiscriminator`
+   * @param {object} options - Schema generation options
+   * @returns {object[]} One branch per discriminator value, in first-seen order
+   */
+  _describeVariants(objects, discriminator, options) {
+    return [...this._groupBy(objects, discriminator)].map(([tag, group]) => {
+      const properties = this._mergeTypeInfo(group, options);
+      delete properties[discriminator];
+      return {
+        type: 'object',
+        properties: { [discriminator]: { type: 'string', const: tag }, ...properties },
+        required: this._getRequiredFields(group),
+      };
+    });
+  }
+
+  /**
+   * Group objects by the value of one field, keeping first-seen order.
+   * @param {object[]} objects
+   * @param {string} key
+   * @returns {Map<*, object[]>}
+   */
+  _groupBy(objects, key) {
+    const groups = new Map();
+    for (const obj of objects) {
+      if (!groups.has(obj[key])) groups.set(obj[key], []);
+      groups.get(obj[key]).push(obj);
+    }
+    return groups;
+  }
+
+  /**
+   * Return the discriminator of a `oneOf` written by `_describeVariants`: the field every
+   * object branch requires and pins with a string `const`. `null` for any other node.
+   * @param {object} node
+   * @returns {string|null}
+   */
+  _discriminatorOf(node) {
+    if (!node || !Array.isArray(node.oneOf)) return null;
+    const branches = node.oneOf.filter((branch) => this._typeList(branch).includes('object'));
+    if (branches.length < 2 || !branches[0].properties) return null;
+    return Object.keys(branches[0].properties).find((key) => branches.every((branch) =>
+      branch.properties && branch.properties[key] && typeof branch.properties[key].const === 'string' &&
+      (branch.required || []).includes(key)
+    )) || null;
+  }
+
+  /**
+   * Decide whether a set of string samples looks like an enumeration.
+   * Returns the distinct values (in first-seen order) when both the cardinality
+   * and the distinct/total ratio stay within the configured thresholds, otherwise `null`.
+   * @param {string[]} strings - Non-null string samples for one field
+   * @param {object} options - Schema generation options (enumMaxValues, enumMaxRatio)
+   * @returns {string[]|null}
+   */
+  _inferEnum(strings, options) {
+    const distinct = [...new Set(strings)];
+    if (distinct.length > options.enumMaxValues) return null;
+    if (distinct.length / strings.length > options.enumMaxRatio) return null;
+    return distinct;
+  }
+
+  /**
+   * Infer numeric keywords from the observed values of one field.
+   *   - `inferRanges`     → `minimum` / `maximum`, widened by `rangeMargin` (rounded outwards for integers)
+   *   - `inferMultipleOf` → `multipleOf` of 10^-n, where n is the largest number of decimals seen
+   * @param {number[]} numbers - Non-null numeric samples for one field
+   * @param {object} options - Schema generation options
+   * @returns {object} Keywords to merge into the field's type fragment
+   */
+  _inferNumericKeywords(numbers, options) {
+    const keywords = {};
+    const allIntegers = numbers.every((n) => Number.isInteger(n));
+
+    if (options.inferRanges) {
+      const min = Math.min(...numbers);
+      const max = Math.max(...numbers);
+      let minimum = min - Math.abs(min) * options.rangeMargin;
+      let maximum = max + Math.abs(max) * options.rangeMargin;
+      if (allIntegers) {
+        minimum = Math.floor(minimum);
+        maximum = Math.ceil(maximum);
+      }
+      keywords.minimum = minimum;
+      keywords.maximum = maximum;
+    }
+
+    if (options.inferMultipleOf && !allIntegers) {
+      const decimals = Math.max(...numbers.map((n) => {
+        const text = String(n);
+        // Exponent notation has no fixed step worth recording
+        if (text.includes('e')) return Infinity;
+        return (text.split('.')[1] || '').length;
+      }));
+      if (decimals <= MULTIPLE_OF_MAX_DECIMALS) {
+        keywords.multipleOf = Number(`1e-${decimals}`);
+      }
+    }
+
+    return keywords;
+  }
+
+  /**
+   * Infer string keywords from the observed values of one field.
+   *   - `inferLengths`  → `minLength` / `maxLength`
+   *   - `inferPatterns` → `pattern` from `_inferPattern`
+   * @param {string[]} strings - Non-null string samples for one field
+   * @param {object} options - Schema generation options
+   * @returns {object} Keywords to merge into the field's type fragment
+   */
+  _inferStringKeywords(strings, options) {
+    const keywords = {};
+
+    if (options.inferLengths) {
+      const lengths = strings.map((str) => str.length);
+      keywords.minLength = Math.min(...lengths);
+      keywords.maxLength = Math.max(...lengths);
+    }
+
+    if (options.inferPatterns) {
+      const pattern = this._inferPattern(strings);
+      if (pattern) keywords.pattern = pattern;
+    }
+
+    return keywords;
+  }
+
+  /**
+   * Propose an anchored regex when every sample has the same character-class shape.
+   *
+   * Each string is split into runs of uppercase letters, lowercase letters, digits or a
+   * repeated literal character. When all samples produce the same sequence of run kinds,
+   * every run becomes either a literal (identical text in all samples, e.g. an `NL` prefix)
+   * or a class with a length range (e.g. `[0-9]{18}`).
+   *
+   *   871234567890123456 / 871234567890654321   → ^[0-9]{18}$
+   *   NL91ABNA0417164300 / NL20INGB0001234567   → ^NL[0-9]{2}[A-Z]{4}[0-9]{10}$
+   *
+   * @param {string[]} strings - Non-null string samples for one field
+   * @returns {string|null} Regex source, or `null` when the shapes differ or every sample is identical
+   */
+  _inferPattern(strings) {
+    const distinct = [...new Set(strings)];
+    // A single value would only produce a literal; that is what `enum` is for
+    if (distinct.length < 2) return null;
+
+    const classOf = (ch) => {
+      if (/[A-Z]/.test(ch)) return '[A-Z]';
+      if (/[a-z]/.test(ch)) return '[a-z]';
+      if (/[0-9]/.test(ch)) return '[0-9]';
+      return ch;
+    };
+    const tokenize = (str) => {
+      const runs = [];
+      for (const ch of str) {
+        const kind = classOf(ch);
+        const last = runs[runs.length - 1];
+        if (last && last.kind === kind) {
+          last.text += ch;
+        } else {
+          runs.push({ kind, text: ch });
+        }
+      }
+      return runs;
+    };
+
+    const tokenized = distinct.map(tokenize);
+    const shape = tokenized[0].map((run) => run.kind).join('\u0000');
+    if (!tokenized.every((runs) => runs.map((run) => run.kind).join('\u0000') === shape)) return null;
+
+    // Only syntax characters: Ajv compiles patterns with the `u` flag, which rejects escaped `-` or `/`
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = tokenized[0].map((run, i) => {
+      const texts = tokenized.map((runs) => runs[i].text);
+      if (texts.every((text) => text === texts[0])) return escape(texts[0]);
+
+      const lengths = texts.map((text) => text.length);
+      const min = Math.min(...lengths);
+      const max = Math.max(...lengths);
+      const quantifier = min === max ? `{${min}}` : `{${min},${max}}`;
+      // Literal runs only ever repeat a single character
+      const kind = run.kind.length === 1 ? escape(run.kind) : run.kind;
+      return min === 1 && max === 1 ? kind : `${kind}${quantifier}`;
+    });
+
+    return `^${parts.join('')}$`;
+  }
+
+  /**
+   * Determine which fields are required (present and non-null in EVERY item).
+   * A field is optional if it is absent or null in at least one item.
+   * @param {object[]} items
+   * @returns {string[]}
+   */
+  _getRequiredFields(items) {
+    if (!items || items.length === 0) return [];
+    const allKeys = new Set(items.flatMap((item) => Object.keys(item)));
+    return [...allKeys].filter((key) =>
+      items.every(
+        (item) =>
+          Object.prototype.hasOwnProperty.call(item, key) && item[key] !== null
+      )
+    );
+  }
+
+  /**
+   * Walk a schema node alongside sample data and stamp `format` keywords wherever
+   * a string value matches a known format.  Handles union types (e.g. ["string","null"]).
+   *
+   * This is the fallback enrichment path for non-array / plain-object inputs where
+   * `_mergeTypeInfo` is not used.  For array inputs, `_mergeTypeInfo` is already called
+   * during schema construction so this method is a no-op for those paths.
+   *
+   * @param {object} schema  - Schema node (mutated in place)
+   * @param {*}      sample  - Corresponding sample value
+   * @param {object} [options] - Schema generation options (see SCHEMA_GENERATION_DEFAULTS)
+   */
+  _enrichSchemaFormats(schema, sample, options = SCHEMA_GENERATION_DEFAULTS) {
+    if (!schema || sample === undefined || sample === null) return;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (types.includes('string') && typeof sample === 'string') {
+      const fmt = this._detectFormat(sample);
+      if (fmt && !schema.format) schema.format = fmt;
+      if (!schema.format) Object.assign(schema, this._inferStringKeywords([sample], options));
+    } else if (types.includes('number') && typeof sample === 'number') {
+      // One sample cannot tell `integer` from `number` (see _describeValues)
+      Object.assign(schema, this._inferNumericKeywords([sample], options));
+    } else if (types.includes('object') && schema.properties && typeof sample === 'object' && !Array.isArray(sample)) {
+      for (const key of Object.keys(schema.properties)) {
+        if (Object.prototype.hasOwnProperty.call(sample, key)) {
+          this._enrichSchemaFormats(schema.properties[key], sample[key], options);
+          if (options.annotate) {
+            Object.assign(schema.properties[key],
+              this._annotationsFor(key, [sample[key]], schema.properties[key], options));
+          }
+        }
+      }
+    } else if (types.includes('array') && schema.items && Array.isArray(sample) && sample.length > 0) {
+      // For arrays, use all items if items schema is an object schema
+      if (schema.items.type === 'object' && schema.items.properties && sample.length > 0) {
+        const objectItems = sample.filter((i) => i && typeof i === 'object' && !Array.isArray(i));
+        schema.items = this._describeValues(objectItems, options);
+      } else if (schema.items.type) {
+        // Primitive items: describe every element, not just the first one
+        Object.assign(schema.items, this._describeValues(sample, options));
+      }
+    }
+  }
+
+  /**
+   * Generate a schema object from one JSON sample without writing it anywhere.
+   * Backs `inferSchema`, which every file-writing entry point goes through, so they all
+   * infer types, nullability and formats the same way.
+   * @param {*} json - Sample response body
+   * @param {object} [options] - Schema generation options (see SCHEMA_GENERATION_DEFAULTS)
+   * @returns {object} JSON Schema in the validator's configured draft
+   */
+  _buildSchema(json, options = {}) {
+    const generationOptions = { ...SCHEMA_GENERATION_DEFAULTS, ...options };
+
+    // Generate base schema
+    const schema = generateSchema.json(json);
+
+    // Force schema to the configured draft and set structure for array of objects (list validation)
+    schema['$schema'] = JSON_SCHEMA_DRAFTS[this.options.draft].uri;
+
+    // If the input is an array of objects, scan ALL items for accurate nullable / format detection
+    if (Array.isArray(json) && json.length > 0 && typeof json[0] === 'object') {
+      const objectItems = json.filter((i) => i && typeof i === 'object' && !Array.isArray(i));
+      schema.items = this._describeValues(objectItems, generationOptions);
+    } else if (!Array.isArray(json) && json && typeof json === 'object') {
+      // Single object: enrich top-level properties with format detection
+      this._enrichSchemaFormats(schema, json, generationOptions);
+    }
+
+    // Remove extra fields added by generate-schema that we don't need
+    delete schema.uniqueItems;
+    delete schema.description;
+    if (schema.items && schema.items.description) delete schema.items.description;
+
+    const draftSchema = this.convertSchemaDraft(schema, this.options.draft);
+    const strictSchema = generationOptions.strict ? this._applyStrict(draftSchema) : draftSchema;
+    return generationOptions.deduplicate ? this._hoistDefinitions(strictSchema) : strictSchema;
+  }
+
+  /**
+   * Move object subschemas that occur more than once into `definitions` (draft-07) or `$defs`
+   * and replace every copy with a `$ref`. The largest repeated shape is hoisted first, so a
+   * shape nested inside it is only hoisted when it also repeats elsewhere.
+   * Definitions are named after the property they most often appear under (array items use the
+   * singular of the array's name); clashes get a numeric suffix.
+   * @param {object} schema - Generated schema (not mutated)
+   * @returns {object} Schema with shared definitions
+   */
+  _hoistDefinitions(schema) {
+    const keyword = this._draftOf(schema) === 'draft-07' ? 'definitions' : '$defs';
+    let result = schema;
+
+    for (;;) {
+      const found = new Map();
+      this._collectObjectSubschemas(result, '', found, true);
+      const repeated = [...found.values()].filter((entry) => entry.names.length > 1);
+      if (repeated.length === 0) return result;
+
+      const largest = repeated.reduce((a, b) => (b.key.length > a.key.length ? b : a));
+      const name = this._definitionName(largest.names, result[keyword] || {});
+      const ref = `#/${keyword}/${name}`;
+      result = this._transformSchema(result, (node) =>
+        (this._shapeKey(node) === largest.key ? { $ref: ref } : node));
+      result[keyword] = { ...(result[keyword] || {}), [name]: largest.node };
+    }
+  }
+
+  /**
+   * Record every non-root object subschema with properties, keyed by its canonical JSON,
+   * together with the name it appears under at each occurrence.
+   * @param {object} node - Schema node
+   * @param {string} name - Property (or definition) name the node appears under
+   * @param {Map<string, { key: string, node: object, names: string[] }>} found - Collected nodes (mutated)
+   * @param {boolean} [isRoot=false]
+   */
+  _collectObjectSubschemas(node, name, found, isRoot = false) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+    if (!isRoot && this._typeList(node).includes('object') && node.properties &&
+      Object.keys(node.properties).length > 0) {
+      const key = this._shapeKey(node);
+      if (!found.has(key)) found.set(key, { key, node, names: [] });
+      found.get(key).names.push(name);
+    }
+
+    for (const keyword of SUBSCHEMA_KEYWORDS.single) {
+      this._collectObjectSubschemas(node[keyword], keyword === 'items' ? this._singularName(name) : name, found);
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.list) {
+      if (Array.isArray(node[keyword])) {
+        node[keyword].forEach((child) => this._collectObjectSubschemas(child, name, found));
+      }
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.map) {
+      if (node[keyword] && typeof node[keyword] === 'object' && !Array.isArray(node[keyword])) {
+        for (const [childName, child] of Object.entries(node[keyword])) {
+          this._collectObjectSubschemas(child, childName, found);
+        }
+      }
+    }
+  }
+
+  /**
+   * Pick a definition name: the most frequent occurrence name, reduced to characters that
+   * need no escaping in a JSON Pointer, with a numeric suffix if `existing` already uses it.
+   * @param {string[]} names - Names the shape appeared under
+   * @param {object} existing - Current definitions map
+   * @returns {string}
+   */
+  _definitionName(names, existing) {
+    const counts = new Map();
+    for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+    const [mostCommon] = [...counts].reduce((a, b) => (b[1] > a[1] ? b : a));
+    const base = mostCommon.replace(/[^A-Za-z0-9_-]/g, '_') || 'shared';
+
+    let name = base;
+    for (let i = 2; Object.prototype.hasOwnProperty.call(existing, name); i++) name = `${base}${i}`;
+    return name;
+  }
+
+  /**
+   * Singular form of an array property name, used to name its items ("sites" → "site").
+   * @param {string} name
+   * @returns {string}
+   */
+  _singularName(name) {
+    if (/ies$/.test(name)) return name.slice(0, -3) + 'y';
+    if (/[^s]s$/.test(name)) return name.slice(0, -1);
+    return name ? `${name}Item` : 'item';
+  }
+
+  /**
+   * Canonical JSON of a schema node without its annotations, so shapes that only differ in
+   * titles, descriptions or examples are still recognised as the same structure.
+   * @param {object} node
+   * @returns {string}
+   */
+  _shapeKey(node) {
+    const stripped = this._transformSchema(node, (child) => {
+      for (const keyword of REGENERATION_KEYWORDS.annotations) delete child[keyword];
+      return child;
+    });
+    return this._canonicalJson(stripped);
+  }
+
+  /**
+   * Serialise a value with object keys sorted, so structurally identical schemas compare equal.
+   * @param {*} value
+   * @returns {string}
+   */
+  _canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => this._canonicalJson(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .map((key) => `${JSON.stringify(key)}:${this._canonicalJson(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Replace local `$ref`s to `definitions` / `$defs` with the definitions they point to,
+   * the inverse of `_hoistDefinitions`. Recursive definitions and refs with sibling keywords
+   * stay as references, and their definitions are kept.
+   * @param {object} schema - Schema (not mutated)
+   * @returns {object} Schema without the inlined definitions
+   */
+  _inlineDefinitions(schema) {
+    const keyword = schema.$defs ? '$defs' : 'definitions';
+    const definitions = schema[keyword];
+    if (!definitions || typeof definitions !== 'object') return schema;
+
+    const kept = new Set();
+    const inline = (node, stack) => this._transformSchema(node, (child) => {
+      const match = typeof child.$ref === 'string' && child.$ref.match(/^#\/(?:\$defs|definitions)\/([^/]+)$/);
+      if (!match || !Object.prototype.hasOwnProperty.call(definitions, match[1])) return child;
+      if (stack.includes(match[1]) || Object.keys(child).length > 1) {
+        kept.add(match[1]);
+        return child;
+      }
+      return inline(definitions[match[1]], [...stack, match[1]]);
+    });
+
+    const withoutDefinitions = { ...schema };
+    delete withoutDefinitions[keyword];
+    const result = inline(withoutDefinitions, []);
+    const remaining = Object.fromEntries(Object.entries(definitions).filter(([name]) => kept.has(name)));
+    if (Object.keys(remaining).length > 0) result[keyword] = remaining;
+    return result;
+  }
+
+  /**
+   * Rebuild a schema bottom-up, applying `transform` to every subschema (root included).
+   * Children are transformed before their parent; each node passed to `transform` is a
+   * shallow copy that may be mutated and must be returned, followed by the untouched original
+   * node. Boolean schemas are left alone.
+   * @param {object} node - Schema node
+   * @param {(node: object, original: object) => object} transform
+   * @returns {object} Transformed copy
+   */
+  _transformSchema(node, transform) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+
+    const visit = (child) => this._transformSchema(child, transform);
+    const copy = { ...node };
+
+    for (const keyword of SUBSCHEMA_KEYWORDS.single) {
+      if (copy[keyword] && typeof copy[keyword] === 'object' && !Array.isArray(copy[keyword])) {
+        copy[keyword] = visit(copy[keyword]);
+      }
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.list) {
+      if (Array.isArray(copy[keyword])) copy[keyword] = copy[keyword].map(visit);
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.map) {
+      if (copy[keyword] && typeof copy[keyword] === 'object' && !Array.isArray(copy[keyword])) {
+        // `dependencies` may hold arrays of property names; visit() returns those unchanged
+        copy[keyword] = Object.fromEntries(
+          Object.entries(copy[keyword]).map(([name, child]) => [name, visit(child)])
+        );
+      }
+    }
+
+    return transform(copy, node);
+  }
+
+  /**
+   * Rewrite a schema into another supported JSON Schema draft.
+   *
+   *   draft-07 → 2019-09 / 2020-12
+   *     definitions              → $defs (and `#/definitions/…` refs → `#/$defs/…`)
+   *     dependencies             → dependentRequired (arrays) / dependentSchemas (schemas)
+   *     items: [...] (2020-12)   → prefixItems, with additionalItems → items
+   *   2019-09 / 2020-12 → draft-07 does the reverse; `unevaluatedProperties` becomes
+   *   `additionalProperties` where no composition keyword makes the two differ.
+   *
+   * @param {object} schema - Schema to convert (not mutated)
+   * @param {string} [draft] - Target draft ('draft-07', '2019-09', '2020-12'); defaults to the `draft` option
+   * @returns {object} Converted schema with a matching `$schema`
+   */
+  convertSchemaDraft(schema, draft = this.options.draft) {
+    if (!JSON_SCHEMA_DRAFTS[draft]) {
+      throw new Error(`Unsupported JSON Schema draft "${draft}". Use one of: ${Object.keys(JSON_SCHEMA_DRAFTS).join(', ')}`);
+    }
+    const legacy = draft === 'draft-07';
+
+    const converted = this._transformSchema(schema, (node) => {
+      if (legacy) {
+        if (node.$defs) {
+          node.definitions = { ...node.$defs, ...node.definitions };
+          delete node.$defs;
+        }
+        if (node.dependentRequired || node.dependentSchemas) {
+          node.dependencies = { ...node.dependentSchemas, ...node.dependentRequired, ...node.dependencies };
+          delete node.dependentRequired;
+          delete node.dependentSchemas;
+        }
+        const composed = node.allOf || node.anyOf || node.oneOf || node.if || node.$ref;
+        if (node.unevaluatedProperties !== undefined && !composed && node.additionalProperties === undefined) {
+          node.additionalProperties = node.unevaluatedProperties;
+          delete node.unevaluatedProperties;
+        }
+      } else {
+        if (node.definitions) {
+          node.$defs = { ...node.definitions, ...node.$defs };
+          delete node.definitions;
+        }
+        if (node.dependencies) {
+          for (const [name, dependency] of Object.entries(node.dependencies)) {
+            const target = Array.isArray(dependency) ? 'dependentRequired' : 'dependentSchemas';
+            node[target] = { ...node[target], [name]: dependency };
+          }
+          delete node.dependencies;
+        }
+      }
+
+      // Tuples: 2020-12 uses prefixItems + items, older drafts items: [...] + additionalItems
+      if (draft === '2020-12' && Array.isArray(node.items)) {
+        node.prefixItems = node.items;
+        delete node.items;
+        if (node.additionalItems !== undefined) {
+          node.items = node.additionalItems;
+          delete node.additionalItems;
+        }
+      } else if (draft !== '2020-12' && node.prefixItems) {
+        const rest = node.items;
+        node.items = node.prefixItems;
+        delete node.prefixItems;
+        if (rest !== undefined) node.additionalItems = rest;
+      }
+
+      if (typeof node.$ref === 'string') {
+        node.$ref = legacy
+          ? node.$ref.replace(/^#\/\$defs\//, () => '#/definitions/')
+          : node.$ref.replace(/^#\/definitions\//, () => '#/$defs/');
+      }
+      return node;
+    });
+
+    converted.$schema = JSON_SCHEMA_DRAFTS[draft].uri;
+    return converted;
+  }
+
+  /**
+   * Return a copy of a schema that rejects unknown properties on every object level.
+   * Plain object nodes get `additionalProperties: false`. Subschemas of allOf / anyOf / oneOf
+   * (and the local definitions they, or a `$ref` next to `properties`, point at) only describe part
+   * of an object and stay open. The node combining them gets `unevaluatedProperties: false` on
+   * 2019-09+ drafts, which sees properties declared in its subschemas; on draft-07 it gets
+   * `additionalProperties: false` with the subschemas' property names merged into its `properties`,
+   * or stays open when those cannot be listed (patternProperties, open branches, remote refs).
+   * Explicit settings are never overridden.
+   * @param {object} schema
+   * @returns {object} Strict copy of the schema
+   */
+  _applyStrict(schema) {
+    const supportsUnevaluated = this._draftOf(schema) !== 'draft-07';
+    const composition = ['allOf', 'anyOf', 'oneOf'];
+    const branchesOf = (node) => composition.flatMap((keyword) => (Array.isArray(node[keyword]) ? node[keyword] : []));
+    const resolve = (node) => (node && typeof node.$ref === 'string' && node.$ref.startsWith('#')
+      ? this._valueAtPointer(schema, node.$ref.slice(1))
+      : node);
+
+    const partial = new Set();
+    this._transformSchema(schema, (node, original) => {
+      for (const branch of branchesOf(original)) partial.add(branch).add(resolve(branch));
+      if (original.$ref && original.properties) partial.add(resolve(original));
+      return node;
+    });
+
+    // Property names declared by a node and its branches, or null when they cannot all be listed
+    const declared = (node, names, seen = new Set()) => {
+      const target = resolve(node);
+      if (seen.has(target)) return names;
+      seen.add(target);
+      if (!target || typeof target !== 'object' || (target !== node && target.$ref) || target.patternProperties ||
+        (target.additionalProperties !== undefined && target.additionalProperties !== false)) {
+        return null;
+      }
+      Object.keys(target.properties || {}).forEach((name) => names.add(name));
+      return branchesOf(target).every((branch) => declared(branch, names, seen)) ? names : null;
+    };
+
+    return this._transformSchema(schema, (node, original) => {
+      if (partial.has(original) || node.additionalProperties !== undefined || node.unevaluatedProperties !== undefined) {
+        return node;
+      }
+      const describesObject = (candidate) => candidate && (candidate.properties || this._typeList(candidate).includes('object'));
+      const branches = branchesOf(original);
+      if (!branches.length && !node.$ref) {
+        if (describesObject(node)) node.additionalProperties = false;
+        return node;
+      }
+      if (!describesObject(node) && !branches.some((branch) => describesObject(resolve(branch)))) return node;
+      if (supportsUnevaluated) {
+        node.unevaluatedProperties = false;
+        return node;
+      }
+      const names = node.$ref ? null : declared(original, new Set());
+      if (names) {
+        node.properties = { ...Object.fromEntries([...names].map((name) => [name, true])), ...node.properties };
+        node.additionalProperties = false;
+      }
+      return node;
+    });
+  }
+
+  /**
+   * Normalise a schema node's `type` keyword to an array.
+   * @param {object} node
+   * @returns {string[]}
+   */
+  _typeList(node) {
+    if (!node || node.type === undefined) return [];
+    return Array.isArray(node.type) ? [...node.type] : [node.type];
+  }
+
+  /**
+   * Return a copy of a schema node that also accepts `null`.
+   * Nodes without a `type` keyword (e.g. `$ref`, `oneOf`) are returned unchanged.
+   * @param {object} node
+   * @returns {object}
+   */
+  _makeNullable(node) {
+    const types = this._typeList(node);
+    if (types.length === 0 || types.includes('null')) return node;
+    const nullable = { ...node, type: [...types, 'null'] };
+    if (Array.isArray(node.enum) && !node.enum.includes(null)) {
+      nullable.enum = [...node.enum, null];
+    }
+    // Object variants would all reject null, so it needs a branch of its own
+    if (this._discriminatorOf(node)) {
+      nullable.oneOf = [...node.oneOf, { type: 'null' }];
+    }
+    return nullable;
+  }
+
+  /**
+   * Merge two schema nodes so the result accepts everything either of them accepts.
+   * Mirrors the rules of `_mergeTypeInfo` / `_getRequiredFields`:
+   *   - Types are unioned (`null` is kept last)
+   *   - A format survives only when every string-typed side agrees on it
+   *   - A property missing on one side becomes nullable and drops out of `required`
+   *   - `required` is the intersection of both sides
+   *   - `integer` widens to `number` when the other side has decimals
+   *   - An enum survives only when both sides enumerate their values and the union stays within `enumMaxValues`
+   *   - Numeric bounds take the lowest minimum / highest maximum; `multipleOf` the finest step
+   *   - String lengths take the shortest minLength / longest maxLength; a pattern survives only if both sides agree
+   *   - Discriminated `oneOf` branches are merged per discriminator value; new variants are appended
+   *   - Nodes that are a `$ref` are kept as-is
+   *   - With `annotate`, examples are unioned up to `maxExamples`; titles and descriptions on `base` win
+   *
+   * Enum, numeric and string keywords are only merged when the matching inference option is enabled;
+   * otherwise they are treated like hand-written keywords. Keywords on `base` that inference
+   * never produces (description, pattern, …) are kept as-is.
+   *
+   * @param {object} base     - Existing schema node
+   * @param {object} incoming - Schema node inferred from a new sample
+   * @param {object} [options] - Schema generation options (see SCHEMA_GENERATION_DEFAULTS)
+   * @returns {object} Merged schema node
+   */
+  _mergeSchemaNodes(base, incoming, options = SCHEMA_GENERATION_DEFAULTS) {
+    if (!base) return incoming;
+    if (!incoming) return base;
+    // A referenced shape cannot be widened without resolving it; keep it like a hand-written keyword
+    if (base.$ref) return base;
+
+    const merged = { ...base };
+    const baseTypes = this._typeList(base);
+    const incomingTypes = this._typeList(incoming);
+
+    const types = [...new Set([...baseTypes, ...incomingTypes])];
+    if (types.includes('integer') && types.includes('number')) {
+      types.splice(types.indexOf('integer'), 1);
+    }
+    if (types.includes('null')) {
+      types.splice(types.indexOf('null'), 1);
+      types.push('null');
+    }
+    if (types.length > 0) {
+      merged.type = types.length === 1 ? types[0] : types;
+    }
+
+    // Only attach format when all string-typed sides agree on one format
+    if (base.format !== incoming.format) {
+      const baseHasString = baseTypes.includes('string');
+      const incomingHasString = incomingTypes.includes('string');
+      if (baseHasString && incomingHasString) {
+        delete merged.format;
+      } else if (incomingHasString && incoming.format) {
+        merged.format = incoming.format;
+      }
+    }
+
+    if (options.inferEnums && (base.enum || incoming.enum)) {
+      // A side that has only ever been null enumerates just `null`
+      const enumOf = (node, types) => node.enum || (types.length === 1 && types[0] === 'null' ? [null] : null);
+      const baseEnum = enumOf(base, baseTypes);
+      const incomingEnum = enumOf(incoming, incomingTypes);
+      const values = baseEnum && incomingEnum ? [...new Set([...baseEnum, ...incomingEnum])] : null;
+      if (values && values.filter((v) => v !== null).length <= options.enumMaxValues) {
+        merged.enum = values.includes(null) ? [...values.filter((v) => v !== null), null] : values;
+      } else {
+        delete merged.enum;
+      }
+    }
+
+    const isNumeric = (types) => types.includes('number') || types.includes('integer');
+    if (options.inferRanges) {
+      this._mergeConstraints(merged, base, incoming, isNumeric, {
+        minimum: Math.min,
+        maximum: Math.max,
+      });
+    }
+    if (options.inferMultipleOf) {
+      this._mergeConstraints(merged, base, incoming, isNumeric, { multipleOf: Math.min });
+    }
+
+    const isString = (types) => types.includes('string');
+    if (options.inferLengths) {
+      this._mergeConstraints(merged, base, incoming, isString, {
+        minLength: Math.min,
+        maxLength: Math.max,
+      });
+    }
+    if (options.inferPatterns) {
+      this._mergeConstraints(merged, base, incoming, isString, {
+        pattern: (a, b) => (a === b ? a : undefined),
+      });
+    }
+
+    if (options.annotate && (base.examples || incoming.examples)) {
+      merged.examples = [...new Set([...(base.examples || []), ...(incoming.examples || [])])]
+        .slice(0, options.maxExamples);
+    }
+
+    if (base.properties && incoming.properties) {
+      const keys = new Set([...Object.keys(base.properties), ...Object.keys(incoming.properties)]);
+      merged.properties = {};
+      for (const key of keys) {
+        const inBase = Object.prototype.hasOwnProperty.call(base.properties, key);
+        const inIncoming = Object.prototype.hasOwnProperty.call(incoming.properties, key);
+        if (inBase && inIncoming) {
+          merged.properties[key] = this._mergeSchemaNodes(base.properties[key], incoming.properties[key], options);
+        } else {
+          // Field missing from one side → treat as nullable
+          merged.properties[key] = this._makeNullable(inBase ? base.properties[key] : incoming.properties[key]);
+        }
+      }
+
+      if (base.required || incoming.required) {
+        const incomingRequired = new Set(incoming.required || []);
+        merged.required = (base.required || []).filter((key) => incomingRequired.has(key));
+      }
+    } else if (incoming.properties && !base.oneOf) {
+      merged.properties = incoming.properties;
+      if (incoming.required) merged.required = incoming.required;
+    }
+
+    const discriminator = this._discriminatorOf(base);
+    if (discriminator && discriminator === this._discriminatorOf(incoming)) {
+      merged.oneOf = this._mergeVariants(base.oneOf, incoming.oneOf, discriminator, options);
+    } else if (incoming.oneOf && !base.oneOf && !base.properties) {
+      merged.oneOf = incoming.oneOf;
+    }
+    if (merged.oneOf && this._typeList(merged).includes('null') && this._discriminatorOf(merged) &&
+      !merged.oneOf.some((branch) => this._typeList(branch).includes('null'))) {
+      merged.oneOf = [...merged.oneOf, { type: 'null' }];
+    }
+
+    if (base.items && incoming.items && !Array.isArray(base.items) && !Array.isArray(incoming.items)) {
+      merged.items = this._mergeSchemaNodes(base.items, incoming.items, options);
+    } else if (!base.items && incoming.items) {
+      merged.items = incoming.items;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge two lists of discriminated `oneOf` branches: branches with the same discriminator
+   * value are merged with `_mergeSchemaNodes`, variants only `incoming` has are appended.
+   * @param {object[]} baseBranches
+   * @param {object[]} incomingBranches
+   * @param {string} discriminator
+   * @param {object} options - Schema generation options
+   * @returns {object[]}
+   */
+  _mergeVariants(baseBranches, incomingBranches, discriminator, options) {
+    const tagOf = (branch) => this._variantTag(branch, discriminator);
+    const merged = baseBranches.map((branch) => {
+      const match = incomingBranches.find((other) => tagOf(other) !== undefined && tagOf(other) === tagOf(branch));
+      return match ? this._mergeSchemaNodes(branch, match, options) : branch;
+    });
+    for (const branch of incomingBranches) {
+      if (!baseBranches.some((other) => tagOf(other) === tagOf(branch))) merged.push(branch);
+    }
+    return merged;
+  }
+
+  /**
+   * The discriminator value (`const`) a `oneOf` branch pins, or `undefined`.
+   * @param {object} branch
+   * @param {string} discriminator
+   * @returns {string|undefined}
+   */
+  _variantTag(branch, discriminator) {
+    return branch && branch.properties && branch.properties[discriminator]
+      ? branch.properties[discriminator].const
+      : undefined;
+  }
+
+  /**
+   * Merge a family of constraint keywords (e.g. numeric bounds) into `merged`.
+   * A keyword only constrains values of the types it applies to, so:
+   *   - both sides apply  → combined when both define it, dropped when either side is unbounded
+   *                         or the combiner returns `undefined`
+   *   - only one applies  → that side's keyword is used
+   * @param {object} merged   - Node being built (mutated in place)
+   * @param {object} base     - Existing schema node
+   * @param {object} incoming - Schema node inferred from a new sample
+   * @param {(types: string[]) => boolean} applies - Whether a side holds values the keywords constrain
+   * @param {{ [keyword: string]: (a: *, b: *) => * }} combiners - How to combine each keyword
+   */
+  _mergeConstraints(merged, base, incoming, applies, combiners) {
+    const baseApplies = applies(this._typeList(base));
+    const incomingApplies = applies(this._typeList(incoming));
+
+    for (const [keyword, combine] of Object.entries(combiners)) {
+      if (baseApplies && incomingApplies) {
+        const combined = base[keyword] !== undefined && incoming[keyword] !== undefined
+          ? combine(base[keyword], incoming[keyword])
+          : undefined;
+        if (combined !== undefined) {
+          merged[keyword] = combined;
+        } else {
+          delete merged[keyword];
+        }
+      } else if (incomingApplies && incoming[keyword] !== undefined) {
+        merged[keyword] = incoming[keyword];
+      }
+    }
+  }
+
+  /**
+   * Create a new SchemaValidator instance
+   * @param {string} schemaPathOrFolderName - Path to schema directory or folder name (in Bruno)
+   * @param {object} [options={}] - Configuration options
+   * @param {boolean} [options.allErrors=false] - Collect all errors instead of failing on first
+   * @param {boolean} [options.verbose=false] - Add extra information to errors
+   * @param {boolean} [options.allowUnionTypes=false] - Allow union types in schemas
+   * @param {object} [options.customFormats={}] - Custom format definitions
    * @param {object} [options.additionalFormats={}] - Additional predefined formats
+   * @param {string} [options.draft='draft-07'] - JSON Schema draft for generated schemas ('draft-07', '2019-09', '2020-12')
+   * @param {boolean} [options.watch=false] - Watch cached schema files and reload them as soon as they change
+   * @param {number} [options.checkInterval=1000] - Without watchers, check cached schema files for changes at most
+   *   this often (ms); 0 checks on every validation
    */
   constructor(schemaPathOrFolderName = 'api-schemas', options = {}) {
+    super();
+
     // Auto-detect Bruno environment
     const isBrunoEnv = (typeof bru !== 'undefined' && typeof bru.cwd === 'function');
     
@@ -327,13 +1919,214 @@ class SchemaValidator {
       verbose = false,
       allowUnionTypes = false,
       customFormats = {},
-      additionalFormats = {}
+      additionalFormats = {},
+      draft = 'draft-07',
+      watch = false,
+      checkInterval = 1000
     } = options;
+
+    if (!JSON_SCHEMA_DRAFTS[draft]) {
+      throw new Error(
+        `SchemaValidator: Unsupported JSON Schema draft "${draft}". ` +
+        `Use one of: ${Object.keys(JSON_SCHEMA_DRAFTS).join(', ')}`
+      );
+    }
     
     // Performance optimization: Cache for compiled validators and schemas
     this._validatorCache = new Map();
     this._schemaCache = new Map();
-    this.options = { allErrors, verbose, allowUnionTypes, customFormats, additionalFormats };
+
+    // Cached schema key → files it was built from with their mtime, size and content hash; see _isCacheFresh()
+    this._cacheStamps = new Map();
+    // Schema file → files it references through $ref, recorded by _compileSchemaFile()
+    this._schemaReferences = new Map();
+    // Watched directory → fs.FSWatcher, only used with `watch: true`
+    this._watchers = new Map();
+
+    // Format detection order for schema generation, plus formats added via registerFormat()
+    this._formatDetectors = FORMAT_PATTERNS.map((entry) => ({ ...entry }));
+    this._registeredFormats = new Map();
+    // Custom keywords added via registerKeyword()
+    this._registeredKeywords = new Map();
+    // Cached schema key → compiled business rules (x-rules and the _rules.json sidecar)
+    this._rulesCache = new Map();
+    // Ajv instance → canonical JSON → validate function, for schemas without an $id (see _compileWith)
+    this._compiledByContent = new WeakMap();
+    // Validate functions compiled through _compileWith and how many there were, for getCacheStats()
+    this._compiledFunctions = new WeakSet();
+    this._compiledSchemaCount = 0;
+    // Compiled schema file → the referenced files it was compiled against (see _compileSchemaFile)
+    this._compiledReferences = new WeakMap();
+    this.options = { allErrors, verbose, allowUnionTypes, customFormats, additionalFormats, draft, watch, checkInterval };
+    // Options the caller set, which override per-method defaults (see _methodDefaults)
+    this._explicitOptions = new Set(Object.keys(options).filter((name) => options[name] !== undefined));
+
+    // Shared Ajv instances, one per draft (and per set of overridden Ajv options); see _getAjv()
+    this._ajvInstances = new Map();
+  }
+
+  /**
+   * Register a custom string format on this validator instance.
+   * One definition drives every place formats are used:
+   *   - `detect`   → format inference during schema generation
+   *   - `validate` → Ajv format validation (defaults to `detect`)
+   *   - `mock`     → value generation in `generateMockData`
+   *
+   * Detectors are evaluated in order and the first match wins. New formats are appended
+   * after the built-in detectors unless `before` / `after` names an existing format.
+   * Registering an existing name (including a built-in one) replaces its definition.
+   *
+   * @param {string} name - Format name as used in the `format` keyword (e.g. 'ean-18')
+   * @param {object} definition - Format definition
+   * @param {RegExp|((value: string) => boolean)} [definition.detect] - Recognise the format in sample values
+   * @param {RegExp|((value: string) => boolean)} [definition.validate] - Validate values during schema validation
+   * @param {(faker: object) => string} [definition.mock] - Produce a mock value
+   * @param {object} [placement] - Position in the detection order
+   * @param {string} [placement.before] - Evaluate before this format
+   * @param {string} [placement.after] - Evaluate after this format
+   * @returns {SchemaValidator} This instance, for chaining
+   */
+  registerFormat(name, definition = {}, placement = {}) {
+    const asFunction = (fn) => (fn instanceof RegExp ? (value) => fn.test(value) : fn);
+    const detect = asFunction(definition.detect);
+    const validate = asFunction(definition.validate) || detect;
+    const { mock } = definition;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('registerFormat: format name must be a non-empty string');
+    }
+    if (!detect && !validate && !mock) {
+      throw new Error(`registerFormat: format "${name}" needs at least one of detect, validate or mock`);
+    }
+
+    // Replace any previous definition (built-in or registered) with the same name
+    this._formatDetectors = this._formatDetectors.filter((entry) => entry.format !== name);
+
+    const entry = { format: name, test: detect };
+    const anchor = placement.before || placement.after;
+    if (anchor) {
+      const index = this._formatDetectors.findIndex((e) => e.format === anchor);
+      if (index === -1) {
+        throw new Error(`registerFormat: cannot place "${name}" relative to unknown format "${anchor}"`);
+      }
+      this._formatDetectors.splice(placement.before ? index : index + 1, 0, entry);
+    } else {
+      this._formatDetectors.push(entry);
+    }
+
+    this._registeredFormats.set(name, { detect, validate, mock });
+
+    // Compiled validators and Ajv instances predate this format
+    this.clearCache();
+    this._ajvInstances.clear();
+    return this;
+  }
+
+  /**
+   * Register a custom schema keyword (e.g. `x-unique-by`, `x-sum-equals`) on this validator instance.
+   * It is added to every Ajv instance the validator uses, so it applies to all validation methods.
+   * One definition drives every place the keyword is used:
+   *   - `validate` → Ajv validation; return `false` to fail
+   *   - `message`  → error message of a failure (defaults to 'must pass "<keyword>" validation')
+   *   - `mock`     → adjusts the value `generateMockData` produced for a schema using the keyword
+   *
+   * Registering an existing name replaces its definition. Schemas using keywords with a `validate`
+   * function cannot be precompiled by `precompileAll` and are compiled at validation time instead.
+   *
+   * @param {string} name - Keyword as used in schemas
+   * @param {object} definition - Keyword definition
+   * @param {string|string[]} [definition.type] - Data types the keyword applies to (e.g. 'array'); others pass
+   * @param {string|string[]} [definition.schemaType] - Allowed types of the keyword's value in the schema
+   * @param {(schemaValue: *, data: *, parentSchema: object, context: object) => boolean} [definition.validate]
+   * @param {string|((schemaValue: *, data: *, parentSchema: object) => string)} [definition.message]
+   * @param {(value: *, schemaValue: *, helpers: { faker: object, schema: object }) => *} [definition.mock]
+   * @returns {SchemaValidator} This instance, for chaining
+   */
+  registerKeyword(name, definition = {}) {
+    const { type, schemaType, validate, message, mock } = definition;
+    if (!name || typeof name !== 'string') {
+      throw new Error('registerKeyword: keyword name must be a non-empty string');
+    }
+    if (!validate && !mock) {
+      throw new Error(`registerKeyword: keyword "${name}" needs at least one of validate or mock`);
+    }
+    for (const [option, fn] of [['validate', validate], ['mock', mock]]) {
+      if (fn !== undefined && typeof fn !== 'function') {
+        throw new Error(`registerKeyword: ${option} of keyword "${name}" must be a function`);
+      }
+    }
+
+    this._registeredKeywords.set(name, { type, schemaType, validate, message, mock });
+
+    // Compiled validators and Ajv instances predate this keyword
+    this.clearCache();
+    this._ajvInstances.clear();
+    return this;
+  }
+
+  /**
+   * Install a plugin: a bundle of keywords and formats, registered through `registerKeyword`
+   * and `registerFormat`.
+   * @param {object} plugin
+   * @param {object} [plugin.keywords] - Keyword name → `registerKeyword` definition
+   * @param {object} [plugin.formats] - Format name → `registerFormat` definition
+   * @returns {SchemaValidator} This instance, for chaining
+   */
+  use(plugin = {}) {
+    const { keywords = {}, formats = {} } = plugin;
+    if (Object.keys(keywords).length === 0 && Object.keys(formats).length === 0) {
+      throw new Error('use: plugin must define keywords and/or formats');
+    }
+    for (const [name, definition] of Object.entries(formats)) this.registerFormat(name, definition);
+    for (const [name, definition] of Object.entries(keywords)) this.registerKeyword(name, definition);
+    return this;
+  }
+
+  /**
+   * Let registered keywords adjust a generated mock value (see `registerKeyword`'s `mock`).
+   * @param {object} schema - Schema the value was generated for
+   * @param {*} value
+   * @returns {*} The adjusted value
+   */
+  _mockKeywords(schema, value) {
+    if (!schema || typeof schema !== 'object') return value;
+    let mocked = value;
+    for (const [keyword, { mock }] of this._registeredKeywords) {
+      if (mock && schema[keyword] !== undefined) {
+        mocked = mock(mocked, schema[keyword], { faker, schema });
+      }
+    }
+    return mocked;
+  }
+
+  /**
+   * Infer a JSON Schema from sample data in memory: nothing is read from or written to disk
+   * and nothing is logged. `createJsonSchema`, `learnSchema` and the `createSchema` option of
+   * the validate methods are built on it.
+   *
+   * With `multiple: true`, `samples` is a list of response bodies; a schema is inferred from each
+   * and they are merged the way `learnSchema` merges, so the result accepts every sample.
+   * Otherwise `samples` is a single body (an array body is one sample whose items are merged).
+   *
+   * @param {*} samples - A sample body, or an array of bodies when `options.multiple` is set
+   * @param {object} [options] - Schema generation options (see `createJsonSchema`)
+   * @param {boolean} [options.multiple=false] - Treat `samples` as several response bodies
+   * @returns {object} The inferred schema
+   */
+  inferSchema(samples, options = {}) {
+    const { multiple = false, ...generation } = options;
+    const generationOptions = { ...SCHEMA_GENERATION_DEFAULTS, ...generation };
+    if (!multiple) return this._buildSchema(samples, generationOptions);
+
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new Error('inferSchema: `multiple` requires a non-empty array of samples');
+    }
+    // Shared definitions only make sense once every sample is merged in
+    const perSample = { ...generationOptions, deduplicate: false };
+    const schema = samples
+      .map((sample) => this._buildSchema(sample, perSample))
+      .reduce((merged, next) => this._mergeSchemaNodes(merged, next, perSample));
+    return generationOptions.deduplicate ? this._hoistDefinitions(schema) : schema;
   }
 
   /**
@@ -341,54 +2134,360 @@ class SchemaValidator {
    * @param {string} folderName - The name of the folder where the schema file will be saved (e.g., 'vpp/Asset Manager')
    * @param {string} fileName - The name of the schema file (without the file extension)
    * @param {object} json - The JSON object used to generate the schema
+   * @param {object} [options] - Schema generation options
+   * @param {boolean} [options.inferEnums=false] - Emit `enum` for low-cardinality string fields
+   * @param {number} [options.enumMaxValues=10] - Maximum distinct values for an inferred enum
+   * @param {number} [options.enumMaxRatio=0.5] - Maximum ratio of distinct values to samples for an inferred enum
+   * @param {boolean} [options.inferRanges=false] - Emit `minimum` / `maximum` for numeric fields
+   * @param {number} [options.rangeMargin=0] - Widen inferred bounds by this fraction of their magnitude
+   * @param {boolean} [options.inferMultipleOf=false] - Emit `multipleOf` for fixed-precision decimals
+   * @param {boolean} [options.inferLengths=false] - Emit `minLength` / `maxLength` for strings
+   * @param {boolean} [options.inferPatterns=false] - Emit `pattern` when all samples share a character-class shape
+   * @param {boolean} [options.strict=false] - Stamp `additionalProperties: false` on every object level
+   * @param {boolean} [options.multiple=false] - Treat `json` as several response bodies (see `inferSchema`)
+   * @param {boolean} [options.verbose=true] - Log where the schema was written
    * @returns {Promise<string>} A Promise that resolves with the generated schema file path
    */
-  async createJsonSchema(folderName, fileName, json) {
-    // Generate base schema
-    let schema = generateSchema.json(json);
+  async createJsonSchema(folderName, fileName, json, options = {}) {
+    const { verbose = true, ...inference } = options;
+    const schema = this.inferSchema(json, inference);
+    const schemaString = JSON.stringify(schema, null, 2);
+    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
 
-    // Force schema to draft-07 and set structure for array of objects (list validation)
-    schema['$schema'] = 'http://json-schema.org/draft-07/schema#';
+    try {
+      // Create directory if it doesn't exist
+      await fsPromises.mkdir(path.dirname(schemaFilePath), { recursive: true });
+      await fsPromises.writeFile(schemaFilePath, schemaString);
+      
+      if (verbose) {
+        console.log(`✓ JSON schema successfully created and saved.`);
+        console.log(`  Location: ${schemaFilePath}`);
+        console.log(`  Folder: ${folderName}`);
+        console.log(`  File: ${fileName}_schema.json`);
+      }
+      
+      return schemaFilePath;
+    } catch (err) {
+      console.error('✗ Error creating schema file:', err);
+      throw err;
+    }
+  }
 
-    // If the input is an array of objects, scan ALL items for accurate nullable / format detection
-    if (Array.isArray(json) && json.length > 0 && typeof json[0] === 'object') {
-      const objectItems = json.filter((i) => i && typeof i === 'object' && !Array.isArray(i));
-      const typeMap = this._mergeTypeInfo(objectItems);
-      const requiredFields = this._getRequiredFields(objectItems);
+  /**
+   * Learn a schema incrementally from API responses.
+   * Loads the existing schema file, widens it so the new sample also validates
+   * (new types become unions, fields missing on one side become optional and nullable,
+   * disagreeing formats are dropped) and rewrites the file.
+   * If no schema exists yet, one is generated from the sample.
+   * Synchronous so it can be used directly in Bruno tests.
+   * @param {string} folderName - The name of the folder containing the schema file
+   * @param {string} fileName - The name of the schema file (without _schema.json)
+   * @param {object} body - The new response body to learn from
+   * @param {object} [options] - Learning options; also accepts the schema generation options of `createJsonSchema`
+   * @param {boolean} [options.verbose=true] - Log where the schema was written
+   * @returns {string} The schema file path
+   */
+  learnSchema(folderName, fileName, body, options = {}) {
+    const { verbose = true, ...generation } = options;
+    const generationOptions = { ...SCHEMA_GENERATION_DEFAULTS, ...generation };
+    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
+    // Shared definitions are rebuilt after merging, so merge fully inlined schemas
+    const incoming = this.inferSchema(body, { ...generationOptions, deduplicate: false });
 
-      schema.items = {
-        type: 'object',
-        properties: typeMap,
-        required: requiredFields,
-      };
-    } else if (!Array.isArray(json) && json && typeof json === 'object') {
-      // Single object: enrich top-level properties with format detection
-      this._enrichSchemaFormats(schema, json);
+    let schema = incoming;
+    const existed = fs.existsSync(schemaFilePath);
+    if (existed) {
+      const existingSchema = JSON.parse(fs.readFileSync(schemaFilePath, 'utf8'));
+      const base = generationOptions.deduplicate ? this._inlineDefinitions(existingSchema) : existingSchema;
+      schema = this._mergeSchemaNodes(base, incoming, generationOptions);
+    } else {
+      fs.mkdirSync(path.dirname(schemaFilePath), { recursive: true });
     }
+    if (generationOptions.deduplicate) schema = this._hoistDefinitions(schema);
 
-    // Remove extra fields added by generate-schema that we don't need
-    delete schema.uniqueItems;
-    delete schema.description;
-    if (schema.items && schema.items.description) delete schema.items.description;
+    fs.writeFileSync(schemaFilePath, JSON.stringify(schema, null, 2));
+
+    if (verbose) {
+      console.log(`✓ JSON schema successfully ${existed ? 'updated' : 'created'} from sample.`);
+      console.log(`  Location: ${schemaFilePath}`);
+    }
+
+    // Schema on disk changed, drop any stale compiled validator
+    this.clearCacheForSchema(folderName, fileName);
+
+    return schemaFilePath;
+  }
+
+  /**
+   * Regenerate a schema from a new response after a deliberate API change, without losing
+   * manual refinements. The schema is re-inferred from `body`; keywords inference does not
+   * produce (descriptions, patterns, enums, bounds, `additionalProperties`, …) are carried over
+   * from the current file for every field that still exists with a compatible type.
+   * Annotations (title, description, examples) are kept even when the type changes.
+   *
+   * Nothing is written unless `apply` is set, so the default is a preview: the returned
+   * `proposed` schema is exactly what `apply: true` would write, and `diff` is
+   * `compareSchemas(current, proposed)`.
+   *
+   * @param {string} folderName - The name of the folder containing the schema file
+   * @param {string} fileName - The name of the schema file (without _schema.json)
+   * @param {*} body - Response body from the changed API
+   * @param {object} [options] - Also accepts the schema generation options of `createJsonSchema`
+   * @param {boolean} [options.dryRun=false] - Never write, even if `apply` is set
+   * @param {boolean} [options.apply=false] - Write the proposed schema to disk
+   * @param {boolean} [options.verbose=true] - Log a summary of the changes
+   * @returns {{ schemaPath: string, exists: boolean, current: object|null, proposed: object, diff: object|null, applied: boolean }}
+   */
+  regenerateSchema(folderName, fileName, body, options = {}) {
+    const { dryRun = false, apply = false, verbose = true, ...generation } = options;
+    const generationOptions = { ...SCHEMA_GENERATION_DEFAULTS, ...generation };
+    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
+    const exists = fs.existsSync(schemaFilePath);
+    const current = exists ? JSON.parse(fs.readFileSync(schemaFilePath, 'utf8')) : null;
+
+    // Compare and carry over on fully inlined schemas; shared definitions are rebuilt at the end
+    const inferred = this.inferSchema(body, { ...generationOptions, deduplicate: false });
+    const inlinedCurrent = current ? this._inlineDefinitions(current) : null;
+    const regenerated = inlinedCurrent
+      ? this._carryOverKeywords(inlinedCurrent, inferred, generationOptions)
+      : inferred;
+    const diff = inlinedCurrent ? this.compareSchemas(inlinedCurrent, regenerated) : null;
+    const proposed = generationOptions.deduplicate ? this._hoistDefinitions(regenerated) : regenerated;
+
+    const applied = apply && !dryRun;
+    if (applied) {
+      fs.mkdirSync(path.dirname(schemaFilePath), { recursive: true });
+      fs.writeFileSync(schemaFilePath, JSON.stringify(proposed, null, 2));
+      this.clearCacheForSchema(folderName, fileName);
+    }
+
+    if (verbose) {
+      const summary = diff
+        ? `${diff.breaking.length} breaking, ${diff.nonBreaking.length} non-breaking change(s)`
+        : 'no existing schema';
+      console.log(`${applied ? '✓ Schema regenerated' : 'Proposed schema'}: ${folderName}/${fileName} (${summary})`);
+      for (const change of diff ? [...diff.breaking, ...diff.nonBreaking] : []) {
+        console.log(`  - ${change.type}: ${change.field}`);
+      }
+      if (!applied) console.log('  Nothing written; pass { apply: true } to save it.');
+    }
+
+    return { schemaPath: schemaFilePath, exists, current, proposed, diff, applied };
+  }
+
+  /**
+   * Copy hand-written keywords from an existing schema node onto its regenerated counterpart,
+   * recursing through `properties`, `items` and `oneOf` / `anyOf` variants (see `_carryOverVariants`).
+   * See REGENERATION_KEYWORDS for what counts as generated.
+   * Constraints are only kept while the node's non-null types overlap; a kept enum becomes
+   * nullable when the regenerated node is.
+   * @param {object} current - Existing schema node
+   * @param {object} proposed - Regenerated schema node
+   * @param {object} options - Schema generation options
+   * @returns {object} `proposed` with hand-written keywords added
+   */
+  _carryOverKeywords(current, proposed, options) {
+    const isNode = (node) => node && typeof node === 'object' && !Array.isArray(node);
+    if (!isNode(current) || !isNode(proposed)) return proposed;
+
+    const generated = new Set([
+      ...REGENERATION_KEYWORDS.generated,
+      ...Object.entries(REGENERATION_KEYWORDS.inferred)
+        .filter(([option]) => options[option])
+        .flatMap(([, keywords]) => keywords),
+    ]);
+    const nonNull = (node) => this._typeList(node)
+      .filter((t) => t !== 'null')
+      .map((t) => (t === 'integer' ? 'number' : t));
+    const currentTypes = nonNull(current);
+    const proposedTypes = nonNull(proposed);
+    const compatible = currentTypes.length === 0 || proposedTypes.length === 0 ||
+      currentTypes.some((t) => proposedTypes.includes(t));
+
+    const result = { ...proposed };
+    for (const [keyword, value] of Object.entries(current)) {
+      if (generated.has(keyword)) continue;
+      // Existing annotations win over generated ones; they may have been edited by hand
+      if (REGENERATION_KEYWORDS.annotations.includes(keyword)) {
+        result[keyword] = value;
+      } else if (compatible && !Object.prototype.hasOwnProperty.call(result, keyword)) {
+        result[keyword] = value;
+      }
+    }
+    if (Array.isArray(result.enum) && this._typeList(result).includes('null') && !result.enum.includes(null)) {
+      result.enum = [...result.enum, null];
+    }
+
+    if (isNode(current.properties) && isNode(proposed.properties)) {
+      result.properties = Object.fromEntries(Object.entries(proposed.properties).map(([key, node]) =>
+        [key, this._carryOverKeywords(current.properties[key], node, options)]));
+    }
+    if (isNode(current.items) && isNode(proposed.items)) {
+      result.items = this._carryOverKeywords(current.items, proposed.items, options);
+    }
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(current[keyword]) && Array.isArray(proposed[keyword])) {
+        result[keyword] = this._carryOverVariants(current[keyword], proposed[keyword], options);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Carry hand-written keywords over into regenerated `oneOf` / `anyOf` branches. Branches are matched
+   * by their discriminator `const`, as in `_mergeVariants`; branches without one by their type list.
+   * @param {object[]} currentBranches - Existing branches
+   * @param {object[]} proposedBranches - Regenerated branches
+   * @param {object} options - Schema generation options
+   * @returns {object[]} `proposedBranches` with hand-written keywords added
+   */
+  _carryOverVariants(currentBranches, proposedBranches, options) {
+    const discriminator = this._discriminatorOf({ oneOf: proposedBranches });
+    const variantOf = (branch) => {
+      const tag = discriminator ? this._variantTag(branch, discriminator) : undefined;
+      if (tag !== undefined) return `const:${tag}`;
+      const types = this._typeList(branch);
+      return types.length > 0 ? `type:${types.join(',')}` : undefined;
+    };
+    return proposedBranches.map((branch) => {
+      const variant = variantOf(branch);
+      const match = variant && currentBranches.find((other) => variantOf(other) === variant);
+      return match ? this._carryOverKeywords(match, branch, options) : branch;
+    });
+  }
+
+  /**
+   * Generate schemas for every JSON endpoint in a HAR recording (browser dev tools, proxies).
+   * Entries are grouped by method, templated path and status code; the JSON response bodies of
+   * each group are merged with `inferSchema` (`multiple: true`) and written with `createJsonSchema` to
+   * `<folder>/<templated path>/<METHOD>_<status>_schema.json`, e.g. `shop/api/users/{id}/GET_200_schema.json`.
+   *
+   * Path segments that look like identifiers (numbers, UUIDs, long hex strings) become `{id}`;
+   * `pathTemplates` such as `'/users/{userId}/orders'` take precedence. Query strings are ignored,
+   * and entries without a JSON response body (images, HTML, unparsable text) are skipped. Entries without
+   * a request or request method, or whose request URL is missing, relative or malformed, are skipped too, and
+   * reported in the verbose output (truncated or hand-edited recordings).
+   *
+   * @param {string|object} harPathOrObject - Path to a `.har` file, or the parsed HAR object
+   * @param {object} [options] - Also accepts the schema generation options of `createJsonSchema`
+   * @param {string} [options.folder] - Folder under `schemaBasePath` (default: the host name of each entry)
+   * @param {string[]} [options.pathTemplates] - Explicit path templates, matched before the id heuristic
+   * @param {boolean} [options.verbose=true] - Log every written schema
+   * @returns {Promise<Array<{ method: string, path: string, status: number, samples: number, folderName: string, fileName: string, schemaPath: string }>>}
+   */
+  async generateSchemasFromHar(harPathOrObject, options = {}) {
+    const { folder, pathTemplates = [], verbose = true, ...generation } = options;
+    const har = typeof harPathOrObject === 'string'
+      ? JSON.parse(await fsPromises.readFile(harPathOrObject, 'utf8'))
+      : harPathOrObject;
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('generateSchemasFromHar: expected a HAR object with log.entries');
+    }
+
+    const groups = new Map();
+    // Reason → number of entries skipped for it
+    const skipped = new Map();
+    const skip = (index, reason, detail = '') => {
+      skipped.set(reason, (skipped.get(reason) || 0) + 1);
+      if (verbose) console.warn(`⚠ Skipped HAR entry ${index}: ${reason}${detail}`);
+    };
+    for (const [index, entry] of har.log.entries.entries()) {
+      const body = this._harResponseBody(entry);
+      if (body === undefined) continue;
+
+      const { request } = entry;
+      if (!request || typeof request !== 'object') {
+        skip(index, 'missing request');
+        continue;
+      }
+      if (typeof request.method !== 'string' || request.method === '') {
+        skip(index, 'missing request method');
+        continue;
+      }
+      let url;
+      try {
+        url = new URL(request.url);
+      } catch (err) {
+        skip(index, 'invalid request URL', ` ${JSON.stringify(request.url)}`);
+        continue;
+      }
+      const method = request.method.toUpperCase();
+      const templatedPath = this._templatePath(url.pathname, pathTemplates);
+      const { status } = entry.response;
+      const key = `${method} ${url.host}${templatedPath} ${status}`;
+      if (!groups.has(key)) {
+        groups.set(key, { method, host: url.host, path: templatedPath, status, bodies: [] });
+      }
+      groups.get(key).bodies.push(body);
+    }
+
+    const results = [];
+    for (const { method, host, path: templatedPath, status, bodies } of groups.values()) {
+      const segments = templatedPath.split('/').filter(Boolean);
+      const folderName = path.posix.join(folder || host.replace(/:/g, '_'), ...segments);
+      const fileName = `${method}_${status}`;
+      const schemaPath = await this.createJsonSchema(folderName, fileName, bodies, {
+        ...generation,
+        multiple: true,
+        verbose: false,
+      });
+      if (verbose) {
+        console.log(`✓ ${method} ${templatedPath} ${status} (${bodies.length} sample${bodies.length === 1 ? '' : 's'}) → ${schemaPath}`);
+      }
+      results.push({ method, path: templatedPath, status, samples: bodies.length, folderName, fileName, schemaPath });
+    }
 
-    const schemaString = JSON.stringify(schema, null, 2);
-    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
+    if (verbose) {
+      const summary = skipped.size > 0
+        ? ` (skipped: ${[...skipped].map(([reason, count]) => `${count} ${reason}`).join(', ')})`
+        : '';
+      console.log(`✓ Generated ${results.length} schema(s) from ${har.log.entries.length} HAR entries${summary}.`);
+    }
+    return results;
+  }
+
+  /**
+   * Parse the JSON response body of a HAR entry.
+   * @param {object} entry - HAR entry
+   * @returns {*} Parsed body, or `undefined` when the response has no JSON body
+   */
+  _harResponseBody(entry) {
+    const content = entry && entry.response && entry.response.content;
+    if (!content || typeof content.text !== 'string' || content.text === '') return undefined;
+    // application/json, application/problem+json, application/vnd.api+json, …
+    if (!/[/+]json\b/i.test(content.mimeType || '')) return undefined;
 
+    const text = content.encoding === 'base64'
+      ? Buffer.from(content.text, 'base64').toString('utf8')
+      : content.text;
     try {
-      // Create directory if it doesn't exist
-      await fsPromises.mkdir(path.dirname(schemaFilePath), { recursive: true });
-      await fsPromises.writeFile(schemaFilePath, schemaString);
-      
-      console.log(`✓ JSON schema successfully created and saved.`);
-      console.log(`  Location: ${schemaFilePath}`);
-      console.log(`  Folder: ${folderName}`);
-      console.log(`  File: ${fileName}_schema.json`);
-      
-      return schemaFilePath;
+      return JSON.parse(text);
     } catch (err) {
-      console.error('✗ Error creating schema file:', err);
-      throw err;
+      return undefined;
+    }
+  }
+
+  /**
+   * Turn a concrete request path into an endpoint template.
+   * The first matching entry of `templates` wins; otherwise identifier-like segments become `{id}`.
+   * @param {string} pathname - URL path, e.g. '/api/users/42/orders'
+   * @param {string[]} [templates] - Explicit templates, e.g. ['/api/users/{userId}/orders']
+   * @returns {string} e.g. '/api/users/{id}/orders'
+   */
+  _templatePath(pathname, templates = []) {
+    const segments = pathname.split('/');
+    for (const template of templates) {
+      const parts = template.split('/');
+      if (parts.length === segments.length &&
+        parts.every((part, i) => /^\{[^}]+\}$/.test(part) || part === segments[i])) {
+        return template;
+      }
     }
+    return segments
+      .map((segment) => (/^\d+$/.test(segment) || /^[0-9a-f]{16,}$/i.test(segment) || this._detectFormat(segment) === 'uuid'
+        ? '{id}'
+        : segment))
+      .join('/');
   }
 
   /**
@@ -400,21 +2499,22 @@ class SchemaValidator {
    * @param {boolean} options.createSchema - Whether to create the JSON schema if it doesn't exist (default: false)
    * @param {boolean} options.verbose - Enable verbose error logging (default: true)
    * @param {boolean} options.throwOnError - Throw error instead of returning false (default: false)
-   * @returns {boolean} The result of the validation
+   * @param {boolean} options.strict - Reject properties the schema does not declare, without changing the file (default: false)
+   * @param {boolean} options.returnDetails - Return a result object instead of a boolean, see `validateDetailed` (default: false)
+   * @param {string} options.select - Validate only this part of the body: a JSON Pointer ('/data/assets/0') or a
+   *   JSONPath ('$.data.assets[*]'), each match validated on its own; error pointers stay relative to the whole body
+   * @param {string} options.schemaPointer - Validate against this sub-schema of the file, e.g. '#/definitions/Asset'
+   *
+   * Business rules (`x-rules` in the schema and `<fileName>_rules.json` next to it) are checked after the
+   * schema and reported as errors with keyword `x-rules`; see `_loadRules`.
+   * @returns {boolean|object} The result of the validation
    */
   validateJsonSchemaSync(folderNameOrSchema, fileNameOrData, body, options = {}) {
     // Inline mode: validateJsonSchemaSync(schema, data) when first arg is an object
     if (typeof folderNameOrSchema === 'object' && folderNameOrSchema !== null) {
       const schema = folderNameOrSchema;
       const data = fileNameOrData;
-      const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
-      addFormats(ajv);
-      // Register custom formats from constructor options
-      const allCustomFormats = { ...customFormats, ...(this.options && this.options.customFormats) };
-      for (const [formatName, pattern] of Object.entries(allCustomFormats)) {
-        ajv.addFormat(formatName, pattern instanceof RegExp ? { type: 'string', validate: (s) => pattern.test(s) } : pattern);
-      }
-      const validate = ajv.compile(schema);
+      const validate = this._compile(schema, this._methodDefaults({ allErrors: true, allowUnionTypes: true }));
       const valid = validate(data);
       return { valid, errors: valid ? null : validate.errors };
     }
@@ -422,8 +2522,13 @@ class SchemaValidator {
     // File-based mode
     const folderName = folderNameOrSchema;
     const fileName = fileNameOrData;
-    const { createSchema = false, verbose = true, throwOnError = false } = options;
+    const {
+      createSchema = false, verbose = true, throwOnError = false, strict = false, returnDetails = false, select, schemaPointer,
+    } = options;
+    const start = process.hrtime.bigint();
     const cacheKey = `${folderName}/${fileName}`;
+    // Strict validators are compiled from a modified schema, so they are cached separately
+    const validatorKey = strict ? `${cacheKey}?strict` : cacheKey;
     const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
     
     // Create schema if requested and doesn't exist
@@ -433,30 +2538,7 @@ class SchemaValidator {
       }
       
       // Generate schema synchronously
-      let schema = generateSchema.json(body);
-      schema['$schema'] = 'http://json-schema.org/draft-07/schema#';
-
-      // If the input is an array of objects, scan ALL items for accurate nullable / format detection
-      if (Array.isArray(body) && body.length > 0 && typeof body[0] === 'object') {
-        const objectItems = body.filter((i) => i && typeof i === 'object' && !Array.isArray(i));
-        const typeMap = this._mergeTypeInfo(objectItems);
-        const requiredFields = this._getRequiredFields(objectItems);
-
-        schema.items = {
-          type: 'object',
-          properties: typeMap,
-          required: requiredFields,
-        };
-      } else if (!Array.isArray(body) && body && typeof body === 'object') {
-        // Single object: enrich top-level properties with format detection
-        this._enrichSchemaFormats(schema, body);
-      }
-
-      // Remove extra fields added by generate-schema that we don't need
-      delete schema.uniqueItems;
-      delete schema.description;
-      if (schema.items && schema.items.description) delete schema.items.description;
-
+      const schema = this.inferSchema(body);
       const schemaString = JSON.stringify(schema, null, 2);
       
       // Create directory if it doesn't exist
@@ -474,14 +2556,14 @@ class SchemaValidator {
       }
       
       // Clear cache for this schema since we just created it
-      this._validatorCache.delete(cacheKey);
-      this._schemaCache.delete(cacheKey);
+      this.clearCacheForSchema(folderName, fileName);
     }
     
     try {
-      // Check cache first
+      // Check cache first; entries whose files changed on disk are dropped
+      const stale = this._evictIfChanged(folderName, fileName);
       let existingSchema = this._schemaCache.get(cacheKey);
-      let validate = this._validatorCache.get(cacheKey);
+      let validate = this._validatorCache.get(validatorKey);
       
       // Load and compile schema if not cached
       if (!existingSchema || !validate) {
@@ -489,14 +2571,19 @@ class SchemaValidator {
         existingSchema = JSON.parse(schemaFileContent);
         this._schemaCache.set(cacheKey, existingSchema);
         
-        const ajv = new Ajv({ allErrors: false });
-        addFormats(ajv);
-        const compiledValidator = ajv.compile(existingSchema);
+        const compiledValidator = this._loadValidator(existingSchema, schemaFilePath, { strict });
         validate = compiledValidator;
-        this._validatorCache.set(cacheKey, validate);
+        this._validatorCache.set(validatorKey, validate);
+        this._rulesCache.set(cacheKey, this._loadRules(existingSchema, schemaFilePath));
+        this._schemaLoaded(folderName, fileName, schemaFileContent, stale ? 'changed' : null);
       }
       
-      const validRes = validate(body);
+      const check = schemaPointer
+        ? this._subschemaValidator(validate, existingSchema, schemaFilePath, schemaPointer, strict)
+        : validate;
+      // Business rules belong to the whole file, so they are skipped for sub-schemas
+      const rules = schemaPointer ? [] : this._rulesCache.get(cacheKey) || [];
+      const { valid: validRes, errors: validationErrors } = this._validateSelection(check, body, select, rules);
 
       if (!validRes) {
         if (verbose) {
@@ -505,8 +2592,8 @@ class SchemaValidator {
           console.error(`  File: ${schemaFilePath}`);
           console.error('');
           
-          if (validate.errors && Array.isArray(validate.errors)) {
-            validate.errors.forEach((err, index) => {
+          if (validationErrors && Array.isArray(validationErrors)) {
+            validationErrors.forEach((err, index) => {
               // Build a more human-friendly message
               let errorPath = err.instancePath || '/';
               let expected = err.params && err.params.type ? err.params.type : '';
@@ -525,10 +2612,12 @@ class SchemaValidator {
               console.error(`  ${index + 1}. At ${errorPath}: ${err.message}`);
               if (expected) console.error(`     Expected type: ${expected}`);
               if (actual) console.error(`     Actual value: ${actual}`);
+              const suggestion = this._suggestionFor(err, body, check.schema);
+              if (suggestion) console.error(`     Suggestion: ${suggestion}`);
               console.error('');
             });
           } else {
-            console.error('  ', JSON.stringify(validate.errors));
+            console.error('  ', JSON.stringify(validationErrors));
           }
           
           // Optionally log the response body
@@ -547,116 +2636,1034 @@ class SchemaValidator {
         }
       }
       
-      return validRes;
+      return returnDetails
+        ? this._detailedResult(validRes, validationErrors, body, schemaFilePath, start, check.schema)
+        : validRes;
+    } catch (error) {
+      if (verbose) {
+        console.error('\n✗ Error loading or validating schema file:', error.message);
+        console.error(`  Path: ${schemaFilePath}`);
+      }
+      
+      if (throwOnError) {
+        throw error;
+      }
+      
+      if (returnDetails) {
+        const result = this._detailedResult(false, [], body, schemaFilePath, start);
+        result.errors.push(this._schemaLoadError(error));
+        return result;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Validates an object against a JSON schema (Asynchronous version).
+   * @param {string} folderName - The path to the directory containing the JSON schema file
+   * @param {string} fileName - The name of the JSON schema file (without _schema.json)
+   * @param {object} body - The object to validate against the JSON schema
+   * @param {object} options - Validation options
+   * @param {boolean} options.createSchema - Whether to create the JSON schema if it doesn't exist
+   * @param {boolean} options.verbose - Enable verbose error logging (default: true)
+   * @param {boolean} options.throwOnError - Throw error instead of returning false (default: false)
+   * @param {boolean} options.strict - Reject properties the schema does not declare, without changing the file (default: false)
+   * @param {boolean} options.returnDetails - Resolve with a result object instead of a boolean, see `validateDetailed` (default: false)
+   * @param {string} options.select - Validate only this part of the body (JSON Pointer or JSONPath), see `validateJsonSchemaSync`
+   * @param {string} options.schemaPointer - Validate against this sub-schema of the file, e.g. '#/definitions/Asset'
+   * @returns {Promise<boolean|object>} The result of the validation
+   */
+  async validateJsonSchema(folderName, fileName, body, options = {}) {
+    const {
+      createSchema = false, verbose = true, throwOnError = false, strict = false, returnDetails = false, select, schemaPointer,
+    } = options;
+    const start = process.hrtime.bigint();
+    const cacheKey = `${folderName}/${fileName}`;
+    // Strict validators are compiled from a modified schema, so they are cached separately
+    const validatorKey = strict ? `${cacheKey}?strict` : cacheKey;
+    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
+    
+    if (createSchema) {
+      await this.createJsonSchema(folderName, fileName, body, { verbose });
+      // Clear cache for this schema since we just created/updated it
+      this.clearCacheForSchema(folderName, fileName);
+    }
+
+    try {
+      // Check cache first; entries whose files changed on disk are dropped
+      const stale = this._evictIfChanged(folderName, fileName);
+      let existingSchema = this._schemaCache.get(cacheKey);
+      let validate = this._validatorCache.get(validatorKey);
+      
+      // Load and compile schema if not cached
+      if (!existingSchema || !validate) {
+        const schemaFileContent = await fsPromises.readFile(schemaFilePath, 'utf8');
+        existingSchema = JSON.parse(schemaFileContent);
+        this._schemaCache.set(cacheKey, existingSchema);
+        
+        const compiledValidator = this._loadValidator(existingSchema, schemaFilePath, { strict });
+        validate = compiledValidator;
+        this._validatorCache.set(validatorKey, validate);
+        this._rulesCache.set(cacheKey, this._loadRules(existingSchema, schemaFilePath));
+        this._schemaLoaded(folderName, fileName, schemaFileContent, stale ? 'changed' : null);
+      }
+      
+      const check = schemaPointer
+        ? this._subschemaValidator(validate, existingSchema, schemaFilePath, schemaPointer, strict)
+        : validate;
+      // Business rules belong to the whole file, so they are skipped for sub-schemas
+      const rules = schemaPointer ? [] : this._rulesCache.get(cacheKey) || [];
+      const { valid: validRes, errors: validationErrors } = this._validateSelection(check, body, select, rules);
+
+      if (!validRes) {
+        if (verbose) {
+          console.error('\n✗ SCHEMA VALIDATION ERRORS:');
+          console.error(`  Schema: ${folderName}/${fileName}`);
+          console.error(`  File: ${schemaFilePath}`);
+          console.error('');
+          
+          if (validationErrors && Array.isArray(validationErrors)) {
+            validationErrors.forEach((err, index) => {
+              let errorPath = err.instancePath || '/';
+              let expected = err.params && err.params.type ? err.params.type : '';
+              let actual = '';
+              
+              if (errorPath && body) {
+                const pathParts = errorPath.replace(/^\//, '').split('/');
+                let val = body;
+                for (const part of pathParts) {
+                  if (part && val && typeof val === 'object') val = val[part];
+                }
+                actual = typeof val === 'undefined' ? 'undefined' : JSON.stringify(val);
+              }
+              
+              console.error(`  ${index + 1}. At ${errorPath}: ${err.message}`);
+              if (expected) console.error(`     Expected type: ${expected}`);
+              if (actual) console.error(`     Actual value: ${actual}`);
+              const suggestion = this._suggestionFor(err, body, check.schema);
+              if (suggestion) console.error(`     Suggestion: ${suggestion}`);
+              console.error('');
+            });
+          }
+        }
+        
+        if (throwOnError) {
+          throw new Error(`Schema validation failed for ${folderName}/${fileName}`);
+        }
+      } else {
+        if (verbose) {
+          console.log(`✓ Schema validation passed: ${folderName}/${fileName}`);
+        }
+      }
+      
+      return returnDetails
+        ? this._detailedResult(validRes, validationErrors, body, schemaFilePath, start, check.schema)
+        : validRes;
     } catch (error) {
       if (verbose) {
         console.error('\n✗ Error loading or validating schema file:', error.message);
         console.error(`  Path: ${schemaFilePath}`);
       }
-      
-      if (throwOnError) {
-        throw error;
+      
+      if (throwOnError) {
+        throw error;
+      }
+      
+      if (returnDetails) {
+        const result = this._detailedResult(false, [], body, schemaFilePath, start);
+        result.errors.push(this._schemaLoadError(error));
+        return result;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Validate against a schema file and return a structured result instead of a boolean.
+   * Same as `validateJsonSchemaSync(..., { returnDetails: true })`, but silent unless `verbose` is passed.
+   * A schema that cannot be loaded yields `valid: false` with one error of keyword `schema`.
+   *
+   * Each error carries:
+   *   pointer        – JSON Pointer to the offending value (for missing / unexpected properties, to the property itself)
+   *   keyword        – failing JSON Schema keyword (`type`, `required`, `format`, …)
+   *   message        – human-readable message, e.g. "At /0/id: must be string"
+   *   actual         – value found at `pointer` (`undefined` when missing)
+   *   expected       – what the keyword asked for (type name, allowed values, `>= 0`, …)
+   *   schemaLocation – JSON Pointer into the schema of the failing keyword, e.g. "#/items/properties/id/type"
+   *   suggestion     – "did you mean" hint for near misses (a missing property next to a similarly named
+   *                    undeclared one, an enum/const typo); only present when there is one
+   *
+   * @param {string} folderName - The name of the folder containing the schema file
+   * @param {string} fileName - The name of the schema file (without _schema.json)
+   * @param {*} body - The data to validate
+   * @param {object} [options] - Options of `validateJsonSchemaSync` (createSchema, strict, verbose, throwOnError)
+   * @returns {{ valid: boolean, errors: object[], schemaPath: string, durationMs: number }}
+   */
+  validateDetailed(folderName, fileName, body, options = {}) {
+    return this.validateJsonSchemaSync(folderName, fileName, body, { verbose: false, ...options, returnDetails: true });
+  }
+
+  /**
+   * Validate a whole HTTP response: status code, `Content-Type`, headers and body.
+   * The body schema is picked by status code, trying in order:
+   *   `<endpoint>_<status>`  e.g. Users_404_schema.json
+   *   `<endpoint>_<N>XX`     e.g. Users_4XX_schema.json
+   *   `<endpoint>`           the plain schema, for 2xx responses only
+   *   `<endpoint>_default`
+   * Headers are validated against `<endpoint>_<status>_headers_schema.json` or
+   * `<endpoint>_headers_schema.json` when one exists, with header names lower-cased.
+   * Bruno's `res` can be passed as is (it has `status`, `headers` and `body`). A status that is not an
+   * integer from 100 to 599 (or is missing) is a 'status' error, and no body schema is applied.
+   *
+   * The result has the shape of `validateDetailed`, plus the chosen schemas; every error carries a
+   * `source` of 'status', 'contentType', 'headers' or 'body', and its pointer is relative to that part.
+   *
+   * @param {string} folderName - The name of the folder containing the schema files
+   * @param {string} endpoint - Schema base name, e.g. 'Users'
+   * @param {{ status: number, headers?: object, body?: * }} response - The response to validate
+   * @param {object} [options]
+   * @param {string|string[]|false} [options.contentType] - Expected media type(s); defaults to JSON
+   *   (`application/json` or any `+json` type) when a body schema applies, `false` skips the check
+   * @param {boolean} [options.strict=false] - Reject undeclared body properties (see `validateJsonSchemaSync`)
+   * @param {boolean} [options.verbose=false] - Log errors to the console
+   * @param {boolean} [options.throwOnError=false] - Throw when the response is invalid
+   * @returns {{ valid: boolean, status: number|*, schemaPath: string|null, headersSchemaPath: string|null,
+   *   errors: object[], durationMs: number }}
+   */
+  validateResponse(folderName, endpoint, response = {}, options = {}) {
+    const { contentType, strict = false, verbose = false, throwOnError = false } = options;
+    const start = process.hrtime.bigint();
+    // Numeric strings such as '200' are accepted too
+    const code = ['number', 'string'].includes(typeof response.status) && String(response.status).trim() !== ''
+      ? Number(response.status)
+      : NaN;
+    const validStatus = Number.isInteger(code) && code >= 100 && code <= 599;
+    const status = validStatus ? code : response.status;
+    const headers = {};
+    for (const [name, value] of Object.entries(response.headers || {})) headers[name.toLowerCase()] = value;
+    const errors = [];
+    const fail = (source, keyword, message, actual, expected) => {
+      errors.push({ source, pointer: '', keyword, message, actual, expected, schemaLocation: '' });
+    };
+
+    let schemaName;
+    if (!validStatus) {
+      fail('status', 'status', `Invalid status ${JSON.stringify(status)}: expected an integer from 100 to 599`,
+        status, 'integer from 100 to 599');
+    } else {
+      const candidates = [`${endpoint}_${status}`, `${endpoint}_${Math.floor(status / 100)}XX`];
+      if (status >= 200 && status < 300) candidates.push(endpoint);
+      candidates.push(`${endpoint}_default`);
+      schemaName = candidates.find((name) => this.schemaExists(folderName, name));
+      if (!schemaName) {
+        fail('status', 'status', `No schema for status ${status} (looked for ${candidates.join(', ')})`, status, candidates);
+      }
+    }
+
+    if (schemaName && contentType !== false) {
+      const expected = [].concat(contentType || []);
+      const actual = typeof headers['content-type'] === 'string'
+        ? headers['content-type'].split(';')[0].trim().toLowerCase()
+        : undefined;
+      const matches = expected.length > 0
+        ? expected.some((type) => type.toLowerCase() === actual)
+        : /^application\/([\w.-]+\+)?json$/.test(actual || '');
+      if (!matches) {
+        const wanted = expected.length > 0 ? expected.join(' or ') : 'application/json';
+        fail('contentType', 'contentType', `Expected Content-Type ${wanted}, got ${actual || 'none'}`, actual, wanted);
+      }
+    }
+
+    const headersSchemaName = [...(validStatus ? [`${endpoint}_${status}_headers`] : []), `${endpoint}_headers`]
+      .find((name) => this.schemaExists(folderName, name));
+    if (headersSchemaName) {
+      const result = this.validateDetailed(folderName, headersSchemaName, headers);
+      errors.push(...result.errors.map((error) => ({ source: 'headers', ...error })));
+    }
+
+    if (schemaName) {
+      const result = this.validateDetailed(folderName, schemaName, response.body, { strict });
+      errors.push(...result.errors.map((error) => ({ source: 'body', ...error })));
+    }
+
+    const result = {
+      valid: errors.length === 0,
+      status,
+      schemaPath: schemaName ? this.getSchemaPath(folderName, schemaName) : null,
+      headersSchemaPath: headersSchemaName ? this.getSchemaPath(folderName, headersSchemaName) : null,
+      errors,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    };
+
+    if (!result.valid) {
+      if (verbose) {
+        console.error(`\n✗ RESPONSE VALIDATION ERRORS: ${folderName}/${endpoint} (status ${status})`);
+        result.errors.forEach((error, index) => console.error(`  ${index + 1}. [${error.source}] ${error.message}`));
+      }
+      if (throwOnError) {
+        throw new Error(`Response validation failed for ${folderName}/${endpoint} (status ${status})`);
+      }
+    } else if (verbose) {
+      console.log(`✓ Response validation passed: ${folderName}/${endpoint} (status ${status})`);
+    }
+    return result;
+  }
+
+  /**
+   * Validate a large JSON array or NDJSON stream item by item, without holding the whole body in memory.
+   * Each item is validated against the schema's `items` (or against the whole schema when it does not
+   * describe an array, e.g. an item schema used for NDJSON). `minItems` / `maxItems` are checked against
+   * the item count at the end; other array-level keywords such as `uniqueItems` are not.
+   * Items that are not valid JSON are reported with keyword `parse`.
+   *
+   * @param {string} folderName - The name of the folder containing the schema file
+   * @param {string} fileName - The name of the schema file (without _schema.json)
+   * @param {AsyncIterable<Buffer|string>} readable - e.g. `fs.createReadStream(file)` or an HTTP response
+   * @param {object} [options]
+   * @param {'json-array'|'ndjson'} [options.format='json-array'] - Stream format
+   * @param {number} [options.maxErrors=100] - Stop collecting errors after this many (items are still counted)
+   * @param {boolean} [options.strict=false] - Reject properties the schema does not declare
+   * @param {boolean} [options.verbose=false] - Log a summary and the errors to the console
+   * @returns {Promise<{ valid: boolean, itemCount: number, invalidCount: number, errors: object[],
+   *   truncated: boolean, schemaPath: string, durationMs: number }>} Errors have the shape of
+   *   `validateDetailed` plus the failing item's `index`; pointers start with that index
+   * @throws {Error} When the schema file cannot be loaded or its `items` schema cannot be resolved
+   */
+  async validateStream(folderName, fileName, readable, options = {}) {
+    const { format = 'json-array', maxErrors = 100, strict = false, verbose = false } = options;
+    if (!['json-array', 'ndjson'].includes(format)) {
+      throw new Error(`validateStream: Unsupported format "${format}". Use 'json-array' or 'ndjson'`);
+    }
+    const start = process.hrtime.bigint();
+    const schemaFilePath = this.getSchemaPath(folderName, fileName);
+    const schema = JSON.parse(await fsPromises.readFile(schemaFilePath, 'utf8'));
+    const validateRoot = this._compileSchemaFile(schema, schemaFilePath, { strict });
+
+    const describesArray = schema.type === 'array' || (Array.isArray(schema.type) && schema.type.includes('array')) ||
+      schema.items !== undefined;
+    if (Array.isArray(schema.items)) {
+      throw new Error(`validateStream: Tuple schemas (items as an array) cannot be streamed: ${schemaFilePath}`);
+    }
+    const itemSchema = describesArray ? schema.items || {} : schema;
+    let validateItem = validateRoot;
+    if (describesArray && schema.items === undefined) {
+      validateItem = () => true; // An array schema without `items` accepts any item
+    } else if (describesArray) {
+      // By the path-based key, which _compileSchemaFile registers even when the file declares its own $id
+      const key = this._schemaIdFor(schemaFilePath) + (strict ? '?strict' : '');
+      validateItem = this._getAjv(schema).getSchema(`${key}#/items`);
+      if (!validateItem) {
+        throw new Error(`validateStream: Cannot resolve the items schema of ${schemaFilePath}`);
+      }
+    }
+
+    const errors = [];
+    let itemCount = 0;
+    let invalidCount = 0;
+    let truncated = false;
+    const report = (error) => {
+      if (errors.length < maxErrors) {
+        errors.push(error);
+      } else {
+        truncated = true;
+      }
+    };
+
+    try {
+      for await (const text of this._streamItems(readable, format)) {
+        const index = itemCount++;
+        let item;
+        try {
+          item = JSON.parse(text);
+        } catch (error) {
+          invalidCount++;
+          report({
+            index,
+            pointer: `/${index}`,
+            keyword: 'parse',
+            message: `At /${index}: invalid JSON (${error.message})`,
+            actual: undefined,
+            expected: 'valid JSON',
+            schemaLocation: '',
+          });
+          continue;
+        }
+        if (validateItem(item)) continue;
+
+        invalidCount++;
+        // Describe errors against { [index]: item } so pointers and actual values include the index
+        for (const err of validateItem.errors || []) {
+          if (truncated) break;
+          report({
+            index,
+            ...this._describeError({ ...err, instancePath: `/${index}${err.instancePath}` }, { [index]: item }, itemSchema),
+          });
+        }
+      }
+    } catch (error) {
+      report({
+        index: null,
+        pointer: '',
+        keyword: 'parse',
+        message: `Could not read the stream: ${error.message}`,
+        actual: undefined,
+        expected: format === 'ndjson' ? 'NDJSON' : 'a JSON array',
+        schemaLocation: '',
+      });
+    }
+
+    if (describesArray) {
+      const bounds = [['minItems', (n) => itemCount < n, 'fewer'], ['maxItems', (n) => itemCount > n, 'more']];
+      for (const [keyword, violated, word] of bounds) {
+        if (typeof schema[keyword] === 'number' && violated(schema[keyword])) {
+          report({
+            index: null,
+            pointer: '',
+            keyword,
+            message: `At /: must NOT have ${word} than ${schema[keyword]} items`,
+            actual: itemCount,
+            expected: `${keyword} ${schema[keyword]}`,
+            schemaLocation: `#/${keyword}`,
+          });
+        }
+      }
+    }
+
+    const result = {
+      valid: errors.length === 0,
+      itemCount,
+      invalidCount,
+      errors,
+      truncated,
+      schemaPath: schemaFilePath,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    };
+
+    if (verbose) {
+      if (result.valid) {
+        console.log(`✓ Stream validation passed: ${folderName}/${fileName} (${itemCount} items)`);
+      } else {
+        console.error(`\n✗ STREAM VALIDATION ERRORS: ${folderName}/${fileName}`);
+        console.error(`  ${invalidCount} of ${itemCount} items invalid${truncated ? ` (first ${maxErrors} errors shown)` : ''}`);
+        result.errors.forEach((error, i) => console.error(`  ${i + 1}. ${error.message}`));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Split a stream into the JSON text of its items: one per non-empty line for NDJSON, one per
+   * top-level element for a JSON array. Only the item being read is buffered.
+   * @param {AsyncIterable<Buffer|string>} readable
+   * @param {'json-array'|'ndjson'} format
+   * @returns {AsyncGenerator<string>}
+   * @throws {Error} When a JSON array stream is not an array, is not closed or has data after it
+   */
+  async *_streamItems(readable, format) {
+    const decoder = new StringDecoder('utf8');
+    const decode = (chunk) => (typeof chunk === 'string' ? chunk : decoder.write(chunk));
+
+    if (format === 'ndjson') {
+      let pending = '';
+      for await (const chunk of readable) {
+        pending += decode(chunk);
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) yield line;
+        }
+      }
+      pending += decoder.end();
+      if (pending.trim()) yield pending;
+      return;
+    }
+
+    let started = false;
+    let ended = false;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let current = '';
+    for await (const chunk of readable) {
+      const text = decode(chunk);
+      let from = 0;
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (!started || ended) {
+          if (/\s/.test(ch)) continue;
+          if (ended) throw new Error('unexpected data after the end of the JSON array');
+          if (ch !== '[') throw new Error('expected a JSON array');
+          started = true;
+          from = i + 1;
+        } else if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (ch === '\\') {
+            escaped = true;
+          } else if (ch === '"') {
+            inString = false;
+          }
+        } else if (ch === '"') {
+          inString = true;
+        } else if (ch === '{' || ch === '[') {
+          depth++;
+        } else if ((ch === '}' || ch === ']') && depth > 0) {
+          depth--;
+        } else if (depth === 0 && (ch === ',' || ch === ']')) {
+          // End of a top-level element; `]` also ends the array
+          current += text.slice(from, i);
+          if (ch === ',' || current.trim()) yield current;
+          current = '';
+          from = i + 1;
+          ended = ch === ']';
+        }
+      }
+      if (started && !ended) current += text.slice(from);
+    }
+    if (!ended) throw new Error('unexpected end of stream: the JSON array is not closed');
+  }
+
+  /**
+   * Build the result object returned by `validateDetailed` / `returnDetails`.
+   * @param {boolean} valid
+   * @param {object[]|null} ajvErrors - `validate.errors` from Ajv
+   * @param {*} data - Validated data
+   * @param {string} schemaPath - Schema file path
+   * @param {bigint} start - `process.hrtime.bigint()` taken when validation started
+   * @param {object} [rootSchema] - Compiled schema, used to find declared properties for suggestions
+   * @returns {{ valid: boolean, errors: object[], schemaPath: string, durationMs: number }}
+   */
+  _detailedResult(valid, ajvErrors, data, schemaPath, start, rootSchema) {
+    return {
+      valid,
+      errors: valid ? [] : (ajvErrors || []).map((err) => this._describeError(err, data, rootSchema)),
+      schemaPath,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    };
+  }
+
+  /**
+   * Error entry reported by `validateDetailed` when the schema itself cannot be loaded or compiled.
+   * @param {Error} error
+   * @returns {object}
+   */
+  _schemaLoadError(error) {
+    return {
+      pointer: '',
+      keyword: 'schema',
+      message: `Could not load or compile schema: ${error.message}`,
+      actual: undefined,
+      expected: undefined,
+      schemaLocation: '',
+    };
+  }
+
+  /**
+   * Turn one Ajv error into the error shape documented on `validateDetailed`.
+   * @param {object} err - Ajv error object
+   * @param {*} data - Validated data, used to look up the actual value
+   * @param {object} [rootSchema] - Compiled schema, used to find declared properties for suggestions
+   * @returns {{ pointer: string, keyword: string, message: string, actual: *, expected: *, schemaLocation: string, suggestion?: string }}
+   */
+  _describeError(err, data, rootSchema) {
+    const params = err.params || {};
+    // Missing and unexpected properties are reported on their parent; point at the property instead
+    const property = [params.missingProperty, params.additionalProperty, params.unevaluatedProperty]
+      .find((name) => name !== undefined);
+    const pointer = property !== undefined
+      ? `${err.instancePath}/${String(property).replace(/~/g, '~0').replace(/\//g, '~1')}`
+      : err.instancePath;
+
+    let expected;
+    switch (err.keyword) {
+      case 'type': expected = params.type; break;
+      case 'enum': expected = params.allowedValues; break;
+      case 'const': expected = params.allowedValue; break;
+      case 'format': expected = `format "${params.format}"`; break;
+      case 'pattern': expected = `pattern ${params.pattern}`; break;
+      case 'required': expected = 'property to be present'; break;
+      case RULES_KEYWORD: expected = params.rule; break;
+      case 'additionalProperties':
+      case 'unevaluatedProperties': expected = 'no undeclared properties'; break;
+      default:
+        if (params.comparison) {
+          expected = `${params.comparison} ${params.limit}`;
+        } else if (params.limit !== undefined) {
+          expected = `${err.keyword} ${params.limit}`;
+        } else {
+          expected = Object.keys(params).length > 0 ? params : undefined;
+        }
+    }
+
+    const described = {
+      pointer,
+      keyword: err.keyword,
+      message: `At ${pointer || '/'}: ${err.message}`,
+      actual: this._valueAtPointer(data, pointer),
+      expected,
+      schemaLocation: err.schemaPath,
+    };
+    const suggestion = this._suggestionFor(err, data, rootSchema);
+    if (suggestion) described.suggestion = suggestion;
+    return described;
+  }
+
+  /**
+   * "Did you mean" hint for an Ajv error caused by a near miss:
+   *   - `required`: the missing property next to a similarly named property the schema does not declare
+   *     → "did you mean customerID → customerId (rename?)"
+   *   - `additionalProperties` / `unevaluatedProperties`: the unexpected property next to a declared one
+   *     that is absent from the data
+   *   - `enum` / `const`: a string value close to one of the allowed values
+   * @param {object} err - Ajv error object
+   * @param {*} data - Validated data
+   * @param {object} [rootSchema] - Compiled schema; without it every sibling key counts as undeclared
+   * @returns {string|undefined}
+   */
+  _suggestionFor(err, data, rootSchema) {
+    const params = err.params || {};
+    const instance = this._valueAtPointer(data, err.instancePath);
+    const keys = instance && typeof instance === 'object' && !Array.isArray(instance) ? Object.keys(instance) : [];
+    const node = err.parentSchema || this._schemaNodeAt(rootSchema, err.schemaPath);
+    const declared = node && node.properties ? Object.keys(node.properties) : null;
+
+    switch (err.keyword) {
+      case 'required': {
+        const match = this._closestMatch(
+          params.missingProperty,
+          keys.filter((key) => !declared || !declared.includes(key))
+        );
+        return match === undefined ? undefined : `did you mean ${match} → ${params.missingProperty} (rename?)`;
+      }
+      case 'additionalProperties':
+      case 'unevaluatedProperties': {
+        const property = params.additionalProperty !== undefined ? params.additionalProperty : params.unevaluatedProperty;
+        const match = this._closestMatch(property, (declared || []).filter((key) => !keys.includes(key)));
+        return match === undefined ? undefined : `did you mean ${property} → ${match} (rename?)`;
+      }
+      case 'enum':
+      case 'const': {
+        const allowed = err.keyword === 'enum' ? params.allowedValues || [] : [params.allowedValue];
+        if (typeof instance !== 'string') return undefined;
+        const match = this._closestMatch(instance, allowed.filter((value) => typeof value === 'string'));
+        return match === undefined ? undefined : `did you mean ${JSON.stringify(match)} instead of ${JSON.stringify(instance)}?`;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Most similar candidate to `value`, ignoring case and separators (`customer_id` matches `customerId`).
+   * @param {string} value
+   * @param {string[]} candidates
+   * @returns {string|undefined} The best candidate, or `undefined` when none reaches SUGGESTION_MIN_SIMILARITY
+   */
+  _closestMatch(value, candidates) {
+    if (typeof value !== 'string' || candidates.length === 0) return undefined;
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const target = normalize(value);
+    let best;
+    let bestRating = SUGGESTION_MIN_SIMILARITY;
+    for (const candidate of candidates) {
+      if (candidate === value) continue;
+      const normalized = normalize(candidate);
+      const rating = normalized === target ? 1 : stringSimilarity.compareTwoStrings(normalized, target);
+      if (rating >= bestRating && (best === undefined || rating > bestRating)) {
+        best = candidate;
+        bestRating = rating;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Schema object holding the keyword an Ajv `schemaPath` points at, e.g. "#/items/required" → schema.items.
+   * @param {object} [rootSchema]
+   * @param {string} schemaPath
+   * @returns {object|undefined} `undefined` for paths into other schema files or that do not resolve
+   */
+  _schemaNodeAt(rootSchema, schemaPath) {
+    if (!rootSchema || typeof schemaPath !== 'string' || !schemaPath.startsWith('#')) return undefined;
+    const node = this._valueAtPointer(rootSchema, schemaPath.slice(1).split('/').slice(0, -1).join('/'));
+    return node && typeof node === 'object' ? node : undefined;
+  }
+
+  /**
+   * Resolve an RFC 6901 JSON Pointer ('' is the whole document) against a value.
+   * @param {*} data
+   * @param {string} pointer - e.g. '/items/0/id'
+   * @returns {*} The value, or `undefined` when the pointer does not resolve
+   */
+  _valueAtPointer(data, pointer) {
+    if (!pointer) return data;
+    let value = data;
+    for (const part of pointer.split('/').slice(1)) {
+      const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Validator for a sub-schema of a schema file, selected by JSON Pointer (`#/definitions/Asset`).
+   * Refs inside the sub-schema resolve against the whole file.
+   * @param {Function} validate - Validator of the whole file (from `_loadValidator` / `_compileSchemaFile`)
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath
+   * @param {string} schemaPointer - JSON Pointer, with or without the leading `#`
+   * @param {boolean} [strict=false]
+   * @param {Ajv} [ajv] - Ajv instance `validate` was compiled on, if not the shared one
+   * @returns {Function} Ajv validate function
+   * @throws {Error} When the pointer does not resolve inside the schema
+   */
+  _subschemaValidator(validate, schema, schemaFilePath, schemaPointer, strict = false, ajv) {
+    const fragment = schemaPointer.replace(/^#/, '');
+    if (!fragment) return validate;
+    const subschema = this._valueAtPointer(validate.schema, fragment);
+    if (subschema === null || (typeof subschema !== 'object' && typeof subschema !== 'boolean')) {
+      throw new Error(`Schema pointer "${schemaPointer}" not found in ${schemaFilePath}`);
+    }
+
+    const instance = ajv || this._getAjv(validate.schema);
+    // Precompiled validators are not registered with Ajv; compile the file so the fragment resolves
+    if (!instance.getSchema(validate.schema.$id)) {
+      this._compileSchemaFile(schema, schemaFilePath, { strict, ajv: instance });
+    }
+    return instance.getSchema(`${validate.schema.$id}#${fragment}`);
+  }
+
+  /**
+   * Run a validator and then the business rules on the whole body, or on each value `select` picks
+   * out of it (see `_selectValues`). Error instance paths are made absolute again, so they point into
+   * the whole body.
+   * @param {Function} validate - Ajv validate function
+   * @param {*} body
+   * @param {string} [select] - JSON Pointer or JSONPath
+   * @param {object[]} [rules] - Compiled business rules (see `_loadRules`)
+   * @returns {{ valid: boolean, errors: object[]|null }} `errors` in Ajv's shape
+   */
+  _validateSelection(validate, body, select, rules = []) {
+    const matches = select === undefined || select === null
+      ? [{ pointer: '', value: body }]
+      : this._selectValues(body, select);
+    if (matches.length === 0) {
+      return {
+        valid: false,
+        errors: [{
+          instancePath: select.startsWith('/') ? select : '',
+          schemaPath: '',
+          keyword: 'select',
+          params: { select },
+          message: `selector "${select}" matched nothing`,
+        }],
+      };
+    }
+
+    const errors = [];
+    for (const { pointer, value } of matches) {
+      if (!validate(value)) {
+        errors.push(...validate.errors.map((err) => ({ ...err, instancePath: pointer + err.instancePath })));
       }
-      
-      return false;
+      errors.push(...this._ruleViolations(rules, value, pointer));
     }
+    return { valid: errors.length === 0, errors: errors.length === 0 ? null : errors };
   }
 
   /**
-   * Validates an object against a JSON schema (Asynchronous version).
-   * @param {string} folderName - The path to the directory containing the JSON schema file
-   * @param {string} fileName - The name of the JSON schema file (without _schema.json)
-   * @param {object} body - The object to validate against the JSON schema
-   * @param {object} options - Validation options
-   * @param {boolean} options.createSchema - Whether to create the JSON schema if it doesn't exist
-   * @param {boolean} options.verbose - Enable verbose error logging (default: true)
-   * @param {boolean} options.throwOnError - Throw error instead of returning false (default: false)
-   * @returns {Promise<boolean>} The result of the validation
+   * Load the business rules of a schema file: the schema's `x-rules` array followed by the sidecar
+   * `<name>_rules.json` (an array, or `{ "rules": [...] }`). A rule is an expression string or
+   * `{ rule, message?, each?, ifPresent? }`:
+   *   rule      – e.g. "endDate >= startDate", "length(lines) == lineCount", "exists(currency) || !exists(amount)"
+   *   message   – error message (defaults to "must satisfy <rule>")
+   *   each      – JSON Pointer or JSONPath of the objects to check, e.g. '$.contracts[*]' (default: the body)
+   *   ifPresent – skip the rule when a field it reads is missing or null (default: false)
+   * Expressions support field paths (`period.end`, `lines[0].cents`), numbers, quoted strings,
+   * true/false/null, the functions in RULE_FUNCTIONS and parentheses. Precedence, from tightest:
+   * `!`, then comparisons (== != < <= > >=), then `&&`, then `||` — as in JavaScript, so `!a == b`
+   * means `(!a) == b`. ISO date strings are compared as dates (see RULE_FUNCTIONS.date). A missing
+   * field is undefined and compares as in JavaScript: `<`, `>`, `<=`, `>=` and `==` with a value fail.
+   * @param {object} schema - Parsed schema file content
+   * @param {string} schemaFilePath
+   * @returns {object[]} Compiled rules
+   * @throws {Error} When a rule is malformed
    */
-  async validateJsonSchema(folderName, fileName, body, options = {}) {
-    const { createSchema = false, verbose = true, throwOnError = false } = options;
-    const cacheKey = `${folderName}/${fileName}`;
-    const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
-    
-    if (createSchema) {
-      await this.createJsonSchema(folderName, fileName, body);
-      // Clear cache for this schema since we just created/updated it
-      this._validatorCache.delete(cacheKey);
-      this._schemaCache.delete(cacheKey);
+  _loadRules(schema, schemaFilePath) {
+    const sources = [];
+    if (Array.isArray(schema[RULES_KEYWORD])) {
+      schema[RULES_KEYWORD].forEach((rule, i) => sources.push([rule, `#/${RULES_KEYWORD}/${i}`]));
+    }
+    const rulesPath = this._rulesPath(schemaFilePath);
+    if (fs.existsSync(rulesPath)) {
+      const content = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+      const list = Array.isArray(content) ? content : content.rules || [];
+      const base = `${path.basename(rulesPath)}#/${Array.isArray(content) ? '' : 'rules/'}`;
+      list.forEach((rule, i) => sources.push([rule, `${base}${i}`]));
     }
 
-    try {
-      // Check cache first
-      let existingSchema = this._schemaCache.get(cacheKey);
-      let validate = this._validatorCache.get(cacheKey);
-      
-      // Load and compile schema if not cached
-      if (!existingSchema || !validate) {
-        const schemaFileContent = await fsPromises.readFile(schemaFilePath, 'utf8');
-        existingSchema = JSON.parse(schemaFileContent);
-        this._schemaCache.set(cacheKey, existingSchema);
-        
-        const ajv = new Ajv({ allErrors: false });
-        addFormats(ajv);
-        const compiledValidator = ajv.compile(existingSchema);
-        validate = compiledValidator;
-        this._validatorCache.set(cacheKey, validate);
+    return sources.map(([rule, source]) => {
+      const { rule: expression, message, each, ifPresent = false } = typeof rule === 'string' ? { rule } : rule || {};
+      if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error(`Business rule ${source} in ${schemaFilePath} needs a "rule" expression`);
       }
-      
-      const validRes = validate(body);
+      const ast = this._parseRule(expression);
+      return { expression, message, each, ifPresent, source, ast, paths: [...new Set(this._rulePaths(ast))] };
+    });
+  }
 
-      if (!validRes) {
-        if (verbose) {
-          console.error('\n✗ SCHEMA VALIDATION ERRORS:');
-          console.error(`  Schema: ${folderName}/${fileName}`);
-          console.error(`  File: ${schemaFilePath}`);
-          console.error('');
-          
-          if (validate.errors && Array.isArray(validate.errors)) {
-            validate.errors.forEach((err, index) => {
-              let errorPath = err.instancePath || '/';
-              let expected = err.params && err.params.type ? err.params.type : '';
-              let actual = '';
-              
-              if (errorPath && body) {
-                const pathParts = errorPath.replace(/^\//, '').split('/');
-                let val = body;
-                for (const part of pathParts) {
-                  if (part && val && typeof val === 'object') val = val[part];
-                }
-                actual = typeof val === 'undefined' ? 'undefined' : JSON.stringify(val);
-              }
-              
-              console.error(`  ${index + 1}. At ${errorPath}: ${err.message}`);
-              if (expected) console.error(`     Expected type: ${expected}`);
-              if (actual) console.error(`     Actual value: ${actual}`);
-              console.error('');
-            });
-          }
-        }
-        
-        if (throwOnError) {
-          throw new Error(`Schema validation failed for ${folderName}/${fileName}`);
-        }
+  /**
+   * Path of the business rules sidecar of a schema file: `Users_schema.json` → `Users_rules.json`.
+   * @param {string} schemaFilePath
+   * @returns {string}
+   */
+  _rulesPath(schemaFilePath) {
+    return schemaFilePath.replace(/_schema\.json$/, '_rules.json');
+  }
+
+  /**
+   * Evaluate business rules against a value and describe the violations as Ajv-shaped errors with
+   * keyword `x-rules`. Each points at the rule's first field, and carries the rule and the values of
+   * the fields it reads in `params`.
+   * @param {object[]} rules - Compiled rules from `_loadRules`
+   * @param {*} data
+   * @param {string} [basePointer=''] - Pointer of `data` inside the validated body
+   * @returns {object[]}
+   */
+  _ruleViolations(rules, data, basePointer = '') {
+    const errors = [];
+    for (const rule of rules) {
+      const contexts = rule.each ? this._selectValues(data, rule.each) : [{ pointer: '', value: data }];
+      for (const { pointer, value } of contexts) {
+        const values = {};
+        for (const fieldPath of rule.paths) values[fieldPath] = this._valueAtPointer(value, this._rulePointer(fieldPath));
+        if (rule.ifPresent && !Object.values(values).every(RULE_FUNCTIONS.exists)) continue;
+        if (this._evaluateRule(rule.ast, value)) continue;
+        errors.push({
+          instancePath: basePointer + pointer + (rule.paths.length > 0 ? this._rulePointer(rule.paths[0]) : ''),
+          schemaPath: rule.source,
+          keyword: RULES_KEYWORD,
+          params: { rule: rule.expression, values },
+          message: rule.message || `must satisfy ${rule.expression}`,
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Parse a rule expression (grammar in `_loadRules`) into a syntax tree.
+   * @param {string} expression
+   * @returns {object} Node of type value, path, call, not, and, or or compare
+   * @throws {Error} On syntax errors and unknown functions
+   */
+  _parseRule(expression) {
+    const tokenPattern = /\s*(?:(-?\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(==|!=|<=|>=|&&|\|\||[<>!(),])|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*))/y;
+    const tokens = [];
+    while (tokenPattern.lastIndex < expression.length && expression.slice(tokenPattern.lastIndex).trim()) {
+      const at = tokenPattern.lastIndex;
+      const match = tokenPattern.exec(expression);
+      if (!match) throw new Error(`Invalid rule "${expression}" near "${expression.slice(at).trim()}"`);
+      const [, number, single, double, operator, name] = match;
+      if (number !== undefined) {
+        tokens.push({ kind: 'value', value: Number(number) });
+      } else if (single !== undefined || double !== undefined) {
+        tokens.push({ kind: 'value', value: (single !== undefined ? single : double).replace(/\\(.)/g, '$1') });
+      } else if (operator) {
+        tokens.push({ kind: 'op', value: operator });
+      } else if (['true', 'false', 'null'].includes(name)) {
+        tokens.push({ kind: 'value', value: JSON.parse(name) });
       } else {
-        if (verbose) {
-          console.log(`✓ Schema validation passed: ${folderName}/${fileName}`);
+        tokens.push({ kind: 'name', value: name });
+      }
+    }
+
+    let position = 0;
+    const fail = (reason) => { throw new Error(`Invalid rule "${expression}": ${reason}`); };
+    const isOperator = (value) => tokens[position] && tokens[position].kind === 'op' && tokens[position].value === value;
+    const expectOperator = (value) => {
+      if (!isOperator(value)) fail(`expected "${value}"`);
+      position++;
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (isOperator('||')) {
+        position++;
+        node = { type: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+    const parseAnd = () => {
+      let node = parseComparison();
+      while (isOperator('&&')) {
+        position++;
+        node = { type: 'and', left: node, right: parseComparison() };
+      }
+      return node;
+    };
+    const parseComparison = () => {
+      const left = parseNot();
+      const token = tokens[position];
+      if (token && token.kind === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+        position++;
+        return { type: 'compare', operator: token.value, left, right: parseNot() };
+      }
+      return left;
+    };
+    const parseNot = () => {
+      if (isOperator('!')) {
+        position++;
+        return { type: 'not', operand: parseNot() };
+      }
+      return parseOperand();
+    };
+    const parseOperand = () => {
+      const token = tokens[position++];
+      if (!token) fail('unexpected end');
+      if (token.kind === 'value') return { type: 'value', value: token.value };
+      if (token.kind === 'op' && token.value === '(') {
+        const node = parseOr();
+        expectOperator(')');
+        return node;
+      }
+      if (token.kind !== 'name') fail(`unexpected "${token.value}"`);
+      if (!isOperator('(')) return { type: 'path', path: token.value };
+
+      if (!Object.prototype.hasOwnProperty.call(RULE_FUNCTIONS, token.value)) fail(`unknown function "${token.value}"`);
+      position++;
+      const args = [];
+      while (!isOperator(')')) {
+        if (args.length > 0) expectOperator(',');
+        args.push(parseOr());
+      }
+      position++;
+      return { type: 'call', name: token.value, args };
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) fail(`unexpected "${tokens[position].value}"`);
+    return ast;
+  }
+
+  /**
+   * Evaluate a rule syntax tree against a context object.
+   * @param {object} node - From `_parseRule`
+   * @param {*} context - Object field paths are resolved against
+   * @returns {*}
+   */
+  _evaluateRule(node, context) {
+    switch (node.type) {
+      case 'value':
+        return node.value;
+      case 'path':
+        return this._valueAtPointer(context, this._rulePointer(node.path));
+      case 'call':
+        return RULE_FUNCTIONS[node.name](...node.args.map((arg) => this._evaluateRule(arg, context)));
+      case 'not':
+        return !this._evaluateRule(node.operand, context);
+      case 'and':
+        return Boolean(this._evaluateRule(node.left, context) && this._evaluateRule(node.right, context));
+      case 'or':
+        return Boolean(this._evaluateRule(node.left, context) || this._evaluateRule(node.right, context));
+      default: {
+        let left = this._evaluateRule(node.left, context);
+        let right = this._evaluateRule(node.right, context);
+        const isDate = (value) => typeof value === 'string' && RULE_DATE_PATTERN.test(value);
+        if (isDate(left) && (isDate(right) || typeof right === 'number')) left = RULE_FUNCTIONS.date(left);
+        if (isDate(right) && typeof left === 'number') right = RULE_FUNCTIONS.date(right);
+        switch (node.operator) {
+          case '==': return left === right;
+          case '!=': return left !== right;
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '>': return left > right;
+          default: return left >= right;
         }
       }
-      
-      return validRes;
-    } catch (error) {
-      if (verbose) {
-        console.error('\n✗ Error loading or validating schema file:', error.message);
-        console.error(`  Path: ${schemaFilePath}`);
+    }
+  }
+
+  /**
+   * Field paths a rule reads, in order of appearance.
+   * @param {object} node - From `_parseRule`
+   * @returns {string[]}
+   */
+  _rulePaths(node) {
+    switch (node.type) {
+      case 'path': return [node.path];
+      case 'call': return node.args.flatMap((arg) => this._rulePaths(arg));
+      case 'not': return this._rulePaths(node.operand);
+      case 'value': return [];
+      default: return [...this._rulePaths(node.left), ...this._rulePaths(node.right)];
+    }
+  }
+
+  /**
+   * JSON Pointer of a rule field path: 'lines[0].cents' → '/lines/0/cents'.
+   * @param {string} fieldPath
+   * @returns {string}
+   */
+  _rulePointer(fieldPath) {
+    return `/${fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.').join('/')}`;
+  }
+
+  /**
+   * Pick values out of a document.
+   *   JSON Pointer – '' or '/data/assets/0' → at most one value
+   *   JSONPath     – '$.data.assets[*]', "$['data'].items[0]", '$.*' → every match
+   * JSONPath supports child names, quoted names, indices and `*` wildcards; recursive descent (`..`)
+   * and filters are not supported.
+   * @param {*} data
+   * @param {string} selector
+   * @returns {{ pointer: string, value: * }[]} Matches with their JSON Pointer in `data`
+   * @throws {Error} For selectors that are neither a JSON Pointer nor supported JSONPath
+   */
+  _selectValues(data, selector) {
+    if (selector === '' || selector.startsWith('/')) {
+      const value = this._valueAtPointer(data, selector);
+      return value === undefined ? [] : [{ pointer: selector, value }];
+    }
+    if (!selector.startsWith('$')) {
+      throw new Error(`Unsupported selector "${selector}": use a JSON Pointer ('/a/b') or JSONPath ('$.a.b')`);
+    }
+
+    const tokens = [];
+    let rest = selector.slice(1);
+    while (rest) {
+      let match;
+      if ((match = rest.match(/^\.([A-Za-z_$][\w$-]*)/))) {
+        tokens.push({ key: match[1] });
+      } else if ((match = rest.match(/^(?:\.\*|\[\s*\*\s*\])/))) {
+        tokens.push({ wildcard: true });
+      } else if ((match = rest.match(/^\[\s*(\d+)\s*\]/))) {
+        tokens.push({ key: match[1] });
+      } else if ((match = rest.match(/^\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]/))) {
+        tokens.push({ key: (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1') });
+      } else {
+        throw new Error(`Unsupported JSONPath "${selector}" near "${rest}"`);
       }
-      
-      if (throwOnError) {
-        throw error;
+      rest = rest.slice(match[0].length);
+    }
+
+    const escape = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    let matches = [{ pointer: '', value: data }];
+    for (const token of tokens) {
+      const next = [];
+      for (const { pointer, value } of matches) {
+        if (value === null || typeof value !== 'object') continue;
+        const keys = token.wildcard ? Object.keys(value) : [token.key];
+        for (const key of keys) {
+          if (Object.prototype.hasOwnProperty.call(value, key)) {
+            next.push({ pointer: `${pointer}/${escape(key)}`, value: value[key] });
+          }
+        }
       }
-      
-      return false;
+      matches = next;
     }
+    return matches;
   }
 
   /**
@@ -685,8 +3692,15 @@ class SchemaValidator {
    * Useful when schemas have been modified externally
    */
   clearCache() {
+    for (const validate of this._validatorCache.values()) this._releaseSchema(validate.schema);
+    for (const ajv of this._ajvInstances.values()) {
+      for (const validate of (this._compiledByContent.get(ajv) || new Map()).values()) ajv.removeSchema(validate.schema);
+    }
+    this._compiledByContent = new WeakMap();
     this._validatorCache.clear();
     this._schemaCache.clear();
+    this._cacheStamps.clear();
+    this._rulesCache.clear();
   }
 
   /**
@@ -696,8 +3710,165 @@ class SchemaValidator {
    */
   clearCacheForSchema(folderName, fileName) {
     const cacheKey = `${folderName}/${fileName}`;
+    for (const key of [cacheKey, `${cacheKey}?strict`]) {
+      const validate = this._validatorCache.get(key);
+      if (validate) this._releaseSchema(validate.schema);
+    }
     this._validatorCache.delete(cacheKey);
+    this._validatorCache.delete(`${cacheKey}?strict`);
     this._schemaCache.delete(cacheKey);
+    this._cacheStamps.delete(cacheKey);
+    this._rulesCache.delete(cacheKey);
+  }
+
+  /**
+   * Stop watching schema files (see the `watch` constructor option).
+   * Watchers do not keep the process alive, so this is only needed to stop reloads early.
+   */
+  unwatch() {
+    for (const watcher of this._watchers.values()) watcher.close();
+    this._watchers.clear();
+  }
+
+  /**
+   * Record the files a freshly loaded schema was built from (the schema file, every file it
+   * references and its business rules sidecar) so later cache hits can detect changes, start watching them in watch mode and
+   * emit `schemaReloaded` when this load replaced a stale entry.
+   * @param {string} folderName
+   * @param {string} fileName
+   * @param {string} content - Schema file content as read
+   * @param {string|null} reason - Why a cached entry was replaced ('changed', 'watch'), or null for a first load
+   */
+  _schemaLoaded(folderName, fileName, content, reason) {
+    const schemaPath = path.resolve(this.getSchemaPath(folderName, fileName));
+    const files = new Map([[schemaPath, this._fileStamp(schemaPath, content)]]);
+    for (const referenced of this._schemaReferences.get(schemaPath) || []) {
+      files.set(referenced, this._fileStamp(referenced));
+    }
+    // Tracked even while missing (stamp null), so adding a sidecar later is noticed too
+    const rulesPath = this._rulesPath(schemaPath);
+    files.set(rulesPath, this._fileStamp(rulesPath));
+    this._cacheStamps.set(`${folderName}/${fileName}`, { folderName, fileName, files, checkedAt: Date.now() });
+
+    if (this.options.watch) {
+      for (const file of files.keys()) this._watchDirectory(path.dirname(file));
+    }
+    if (reason) {
+      this.emit('schemaReloaded', { folderName, fileName, schemaPath, reason });
+    }
+  }
+
+  /**
+   * mtime, size and SHA-256 of a file's content.
+   * @param {string} filePath
+   * @param {string} [content] - Content already read, to avoid reading the file twice
+   * @returns {{ mtimeMs: number, size: number, hash: string }|null} `null` when the file is gone
+   */
+  _fileStamp(filePath, content) {
+    try {
+      const { mtimeMs, size } = fs.statSync(filePath);
+      const text = content !== undefined ? content : fs.readFileSync(filePath, 'utf8');
+      return { mtimeMs, size, hash: crypto.createHash('sha256').update(text).digest('hex') };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the files a cached schema was built from are unchanged. Unchanged mtime and size are
+   * trusted; otherwise the content hash decides, so touching a file does not force a recompile.
+   * Entries without a stamp (nothing loaded from disk) count as fresh.
+   * @param {string} cacheKey - `${folderName}/${fileName}`
+   * @returns {boolean}
+   */
+  _isCacheFresh(cacheKey) {
+    const stamp = this._cacheStamps.get(cacheKey);
+    if (!stamp) return true;
+    for (const [filePath, recorded] of stamp.files) {
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        return recorded === null;
+      }
+      if (!recorded) return false;
+      if (stats.mtimeMs === recorded.mtimeMs && stats.size === recorded.size) continue;
+      const current = this._fileStamp(filePath);
+      if (!current || current.hash !== recorded.hash) return false;
+      stamp.files.set(filePath, current);
+    }
+    return true;
+  }
+
+  /**
+   * Whether a cached schema's files should be checked on this cache hit. Not while watchers cover
+   * every file (they evict changed entries themselves), and otherwise at most once per `checkInterval` ms,
+   * so hot paths do not stat every file on every validation.
+   * @param {object} stamp - Entry of `_cacheStamps`
+   * @returns {boolean}
+   */
+  _isCheckDue(stamp) {
+    if (this.options.watch && [...stamp.files.keys()].every((file) => this._watchers.has(path.dirname(file)))) {
+      return false;
+    }
+    const now = Date.now();
+    if (now - stamp.checkedAt < this.options.checkInterval) return false;
+    stamp.checkedAt = now;
+    return true;
+  }
+
+  /**
+   * Drop a schema's cache entries when its files changed on disk (checked as `_isCheckDue` allows).
+   * @param {string} folderName
+   * @param {string} fileName
+   * @returns {boolean} True when entries were dropped
+   */
+  _evictIfChanged(folderName, fileName) {
+    const cacheKey = `${folderName}/${fileName}`;
+    const stamp = this._cacheStamps.get(cacheKey);
+    if (!stamp || !this._isCheckDue(stamp)) return false;
+    if (this._isCacheFresh(cacheKey)) return false;
+    this.clearCacheForSchema(folderName, fileName);
+    return true;
+  }
+
+  /**
+   * Watch a directory holding cached schema files (once per directory). Watching the directory
+   * rather than the file survives editors that save by replacing the file.
+   * A change to any file a cached schema was built from evicts it and reloads it right away.
+   * @param {string} directory
+   */
+  _watchDirectory(directory) {
+    if (this._watchers.has(directory)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(directory, { persistent: false }, () => this._reloadChangedSchemas());
+    } catch (error) {
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      this._watchers.delete(directory);
+    });
+    this._watchers.set(directory, watcher);
+  }
+
+  /**
+   * Reload every cached schema whose files changed (called by the watchers). A file that cannot be
+   * parsed yet (e.g. half-written) stays evicted and is loaded on next use.
+   */
+  _reloadChangedSchemas() {
+    for (const [cacheKey, { folderName, fileName }] of [...this._cacheStamps]) {
+      if (this._isCacheFresh(cacheKey)) continue;
+      this.clearCacheForSchema(folderName, fileName);
+      try {
+        const content = fs.readFileSync(this.getSchemaPath(folderName, fileName), 'utf8');
+        this._schemaCache.set(cacheKey, JSON.parse(content));
+        this._schemaLoaded(folderName, fileName, content, 'watch');
+      } catch (error) {
+        // Picked up again by the next validation
+      }
+    }
   }
 
   /**
@@ -707,8 +3878,87 @@ class SchemaValidator {
   getCacheStats() {
     return {
       validatorCacheSize: this._validatorCache.size,
-      schemaCacheSize: this._schemaCache.size
+      schemaCacheSize: this._schemaCache.size,
+      compiledSchemaCount: this._compiledSchemaCount
+    };
+  }
+
+  /**
+   * Compile schema files ahead of time with Ajv standalone code generation.
+   * Writes a `<name>_validator.js` module next to every `<name>_schema.json` under `schemaBasePath`
+   * (or one of its folders). `validateJsonSchemaSync` and `validateJsonSchema` load the module instead
+   * of compiling when its hash still matches the schema, its referenced files and the validator options;
+   * otherwise they fall back to compiling, so an outdated module is never used.
+   * Modules that are already up to date are left alone.
+   * @param {object} [options]
+   * @param {string} [options.folder] - Only precompile schemas in this folder (recursively)
+   * @param {boolean} [options.verbose=true] - Log each written module
+   * @returns {{ schemaPath: string, validatorPath: string, status: 'compiled'|'unchanged'|'failed', error?: string }[]}
+   */
+  precompileAll(options = {}) {
+    const { folder = '', verbose = true } = options;
+    const results = [];
+
+    const visit = (directory) => {
+      if (!fs.existsSync(directory)) return;
+      for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          visit(entryPath);
+        } else if (entry.name.endsWith('_schema.json')) {
+          results.push(this._precompileSchemaFile(entryPath));
+        }
+      }
     };
+    visit(path.join(this.schemaBasePath, folder));
+
+    if (verbose) {
+      for (const { validatorPath, status, error } of results) {
+        if (status === 'compiled') console.log(`✓ Precompiled: ${validatorPath}`);
+        if (status === 'failed') console.error(`✗ Could not precompile ${validatorPath}: ${error}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Write the standalone validator module for one schema file (see `precompileAll`).
+   * @param {string} schemaFilePath
+   * @returns {{ schemaPath: string, validatorPath: string, status: string, error?: string }}
+   */
+  _precompileSchemaFile(schemaFilePath) {
+    const validatorPath = this._precompiledPath(schemaFilePath);
+    try {
+      const schema = JSON.parse(fs.readFileSync(schemaFilePath, 'utf8'));
+      const hash = this._validatorHash(schema, schemaFilePath);
+      if (fs.existsSync(validatorPath) && fs.readFileSync(validatorPath, 'utf8').startsWith(`// schema-hash: ${hash}\n`)) {
+        return { schemaPath: schemaFilePath, validatorPath, status: 'unchanged' };
+      }
+
+      // A dedicated instance: standalone code needs `code.source`, and formats come from the factory's argument
+      const ajv = this._createAjv(schema, {
+        ...this._ajvOptions(),
+        code: { source: true, formats: _`formats` },
+      }, this._configuredFormats());
+      const validate = this._compileSchemaFile(schema, schemaFilePath, { ajv });
+      const code = standaloneCode(ajv, validate);
+      // The module exports a factory taking the format implementations (see _loadPrecompiled)
+      fs.writeFileSync(validatorPath, [
+        `// schema-hash: ${hash}`,
+        `// Generated by SchemaValidator#precompileAll from ${path.basename(schemaFilePath)}. Do not edit.`,
+        '// Usage: require(this file)(formats), where formats maps format names to their implementations',
+        '\'use strict\';',
+        'module.exports = function createValidator(formats) {',
+        'const module = { exports: {} };',
+        code,
+        'return module.exports;',
+        '};',
+        '',
+      ].join('\n'));
+      return { schemaPath: schemaFilePath, validatorPath, status: 'compiled' };
+    } catch (error) {
+      return { schemaPath: schemaFilePath, validatorPath, status: 'failed', error: error.message };
+    }
   }
 
   /**
@@ -719,6 +3969,12 @@ class SchemaValidator {
    * @returns {object} Comparison results with breaking and non-breaking changes
    */
   compareSchemas(oldSchema, newSchema) {
+    // List responses: the interesting fields live on the items
+    const isItemSchema = (schema) => schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items);
+    if (!oldSchema.properties && !newSchema.properties && isItemSchema(oldSchema) && isItemSchema(newSchema)) {
+      return this.compareSchemas(oldSchema.items, newSchema.items);
+    }
+
     const changes = {
       breaking: [],
       nonBreaking: [],
@@ -748,12 +4004,20 @@ class SchemaValidator {
         }
       }
 
+      // New optional fields added (non-breaking)
+      for (const field of Object.keys(newSchema.properties)) {
+        if (!oldSchema.properties[field] && !newRequired.has(field)) {
+          changes.nonBreaking.push({ type: 'optional_field_added', field });
+        }
+      }
+
       // Type changes
       for (const field of Object.keys(newSchema.properties)) {
         if (oldSchema.properties[field]) {
           const oldType = oldSchema.properties[field].type;
           const newType = newSchema.properties[field].type;
-          if (oldType !== newType) {
+          // Union types are arrays, so compare by value
+          if (JSON.stringify(oldType) !== JSON.stringify(newType)) {
             changes.breaking.push({ type: 'type_changed', field, oldType, newType });
           }
         }
@@ -822,14 +4086,17 @@ class SchemaValidator {
    */
   getSchema(folderName, fileName) {
     const cacheKey = `${folderName}/${fileName}`;
+    const stale = this._evictIfChanged(folderName, fileName);
     if (this._schemaCache.has(cacheKey)) {
       return this._schemaCache.get(cacheKey);
     }
     
     const schemaFilePath = path.join(this.schemaBasePath, folderName, `${fileName}_schema.json`);
     if (fs.existsSync(schemaFilePath)) {
-      const schema = JSON.parse(fs.readFileSync(schemaFilePath, 'utf8'));
+      const content = fs.readFileSync(schemaFilePath, 'utf8');
+      const schema = JSON.parse(content);
       this._schemaCache.set(cacheKey, schema);
+      this._schemaLoaded(folderName, fileName, content, stale ? 'changed' : null);
       return schema;
     }
     return null;
@@ -841,7 +4108,7 @@ class SchemaValidator {
    * @param {string} folderName - Folder name
    * @param {string} fileName - Schema file name
    * @param {any} body - Data to validate
-   * @param {object} options - Validation options
+   * @param {object} options - Validation options (`select` and `schemaPointer` as in `validateJsonSchemaSync`)
    * @returns {object} Validation result
    */
   validateSync(folderName, fileName, body, options = {}) {
@@ -852,29 +4119,28 @@ class SchemaValidator {
     }
 
     const schemaContent = fs.readFileSync(schemaFilePath, 'utf8');
-    const schema = JSON.parse(schemaContent);
+    const fileSchema = JSON.parse(schemaContent);
+    // options.strict rejects undeclared properties without touching the file
+    const schema = options.strict ? this._applyStrict(fileSchema) : fileSchema;
     
-    const ajvOptions = {
-      allErrors: options.allErrors ?? this.options.allErrors ?? false,
-      verbose: options.verbose ?? this.options.verbose ?? false,
-      allowUnionTypes: options.allowUnionTypes ?? this.options.allowUnionTypes ?? true
-    };
-
-    const ajv = new Ajv(ajvOptions);
-    addFormats(ajv);
-
-    // Add custom formats
-    const customFormatsToUse = { ...customFormats, ...this.options.customFormats, ...options.customFormats };
-    for (const [formatName, pattern] of Object.entries(customFormatsToUse)) {
-      ajv.addFormat(formatName, pattern instanceof RegExp ? pattern : new RegExp(pattern));
+    // Per-call Ajv options select another shared instance; per-call formats need a dedicated one
+    const overrides = this._methodDefaults({ allowUnionTypes: true });
+    for (const option of ['allErrors', 'verbose', 'allowUnionTypes']) {
+      if (options[option] !== undefined) overrides[option] = options[option];
     }
-
-    const validate = ajv.compile(schema);
-    const valid = validate(body);
+    const ajv = options.customFormats
+      ? this._createAjv(schema, this._ajvOptions(overrides), { ...this._configuredFormats(), ...options.customFormats })
+      : this._getAjv(schema, overrides);
+    const validate = this._compileSchemaFile(fileSchema, schemaFilePath, { strict: options.strict, ajv });
+    const check = options.schemaPointer
+      ? this._subschemaValidator(validate, fileSchema, schemaFilePath, options.schemaPointer, options.strict, ajv)
+      : validate;
+    const rules = options.schemaPointer ? [] : this._loadRules(fileSchema, schemaFilePath);
+    const { valid, errors } = this._validateSelection(check, body, options.select, rules);
 
     return {
       valid,
-      errors: valid ? null : validate.errors,
+      errors,
       schema: schema,
       data: body
     };
@@ -923,6 +4189,7 @@ class SchemaValidator {
    * Generate mock data from schema
    * @param {object} schema - JSON schema
    * @param {object} options - Generation options
+   * @param {boolean} [options.useExamples=false] - Pick values from a property's `examples` when present
    * @returns {array|object} Generated mock data
    */
   generateMockData(schema, options = {}) {
@@ -940,7 +4207,7 @@ class SchemaValidator {
       faker.locale = locale;
     }
     
-    const generateValue = (propSchema, propPath = '') => {
+    const generateRawValue = (propSchema, propPath = '') => {
       if (!propSchema) return null;
       
       const type = propSchema.type || 'string';
@@ -953,9 +4220,18 @@ class SchemaValidator {
       if (propSchema.const !== undefined) {
         return propSchema.const;
       }
+
+      // Recorded examples are real (redacted) values, more realistic than anything faker invents
+      if (options.useExamples === true && Array.isArray(propSchema.examples) && propSchema.examples.length > 0) {
+        return faker.helpers.arrayElement(propSchema.examples);
+      }
       
       switch (type) {
-        case 'string':
+        case 'string': {
+          const registeredFormat = format && this._registeredFormats.get(format);
+          if (registeredFormat && registeredFormat.mock) {
+            return registeredFormat.mock(faker);
+          }
           if (format === 'uuid' || propPath.toLowerCase().includes('id')) {
             return faker.string.uuid();
           }
@@ -975,6 +4251,7 @@ class SchemaValidator {
             return faker.person.fullName();
           }
           return faker.lorem.sentence();
+        }
           
         case 'number':
         case 'integer':
@@ -1011,6 +4288,9 @@ class SchemaValidator {
           return null;
       }
     };
+    // Registered keywords get the last word, e.g. making ids unique or a total match its lines
+    const generateValue = (propSchema, propPath = '') =>
+      this._mockKeywords(propSchema, generateRawValue(propSchema, propPath));
     
     const results = [];
     for (let i = 0; i < count; i++) {
@@ -1019,7 +4299,7 @@ class SchemaValidator {
         const arr = Array.from({ length: arrayLength }, (_, j) => 
           generateValue(schema.items, `item[${j}]`)
         );
-        results.push(arr);
+        results.push(this._mockKeywords(schema, arr));
       } else {
         results.push(generateValue(schema, 'root'));
       }
@@ -1359,9 +4639,7 @@ class SchemaValidator {
     
     if (this._envSchemas && this._envSchemas[key]) {
       const schema = this._envSchemas[key];
-      const ajv = new Ajv({ allErrors: true });
-      addFormats(ajv);
-      const validate = ajv.compile(schema);
+      const validate = this._compile(schema, this._methodDefaults({ allErrors: true }));
       const valid = validate(body);
       
       return {
@@ -1391,25 +4669,25 @@ class SchemaValidator {
       valid: true
     };
     
-    const ajv = new Ajv({ allErrors: true });
-    addFormats(ajv);
+    // Each part may declare its own draft; _compile picks the matching shared instance
+    const compile = (schema) => this._compile(schema, this._methodDefaults({ allErrors: true }));
     
     if (schemas.body && request.body) {
-      const validate = ajv.compile(schemas.body);
+      const validate = compile(schemas.body);
       const valid = validate(request.body);
       results.body = { valid, errors: valid ? null : validate.errors };
       results.valid = results.valid && valid;
     }
     
     if (schemas.headers && request.headers) {
-      const validate = ajv.compile(schemas.headers);
+      const validate = compile(schemas.headers);
       const valid = validate(request.headers);
       results.headers = { valid, errors: valid ? null : validate.errors };
       results.valid = results.valid && valid;
     }
     
     if (schemas.query && request.query) {
-      const validate = ajv.compile(schemas.query);
+      const validate = compile(schemas.query);
       const valid = validate(request.query);
       results.query = { valid, errors: valid ? null : validate.errors };
       results.valid = results.valid && valid;
@@ -1743,19 +5021,16 @@ class SchemaValidator {
       ignoreMissingOptional = false
     } = toleranceOpts;
     
-    const ajv = new Ajv({ allErrors: true });
-    addFormats(ajv);
-    
     // Modify schema based on tolerance options
-    const modifiedSchema = { ...schema };
-    
-    if (allowExtraFields && modifiedSchema.type === 'object') {
-      modifiedSchema.additionalProperties = true;
-    }
+    const modified = allowExtraFields && schema.type === 'object';
+    const modifiedSchema = modified ? { ...schema, additionalProperties: true } : schema;
     
-    const validate = ajv.compile(modifiedSchema);
+    // Every error must be seen to decide whether all of them are tolerable
+    const validate = this._compile(modifiedSchema, this._methodDefaults({ allErrors: true }));
     let valid = validate(body);
     const errors = valid ? null : validate.errors;
+    // A per-call copy would otherwise stay in Ajv's cache forever
+    if (modified) this._releaseSchema(modifiedSchema);
     
     // Apply fuzzy matching for strings
     if (!valid && errors) {
@@ -2049,9 +5324,7 @@ class SchemaValidator {
       options = optionsOrData || {};
 
       const iterations = options.iterations || 100;
-      const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
-      addFormats(ajv);
-      const validate = ajv.compile(schema);
+      const validate = this._compile(schema, this._methodDefaults({ allErrors: true, allowUnionTypes: true }));
       const times = [];
 
       for (let i = 0; i < iterations; i++) {
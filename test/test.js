@@ -558,6 +558,1268 @@ async function runTests() {
     assert.ok(measurements.validationTime >= 0, 'Should measure validation time');
   });
 
+  console.log('\n' + '='.repeat(60));
+  console.log('INCREMENTAL SCHEMA LEARNING');
+  console.log('='.repeat(60));
+
+  // Test 26: Learn schema from several responses
+  await test('Learn schema incrementally from new responses', () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    validator.learnSchema('test/learn', 'Assets', [
+      { id: 'a1', status: 'active', createdAt: '2024-07-25T13:36:08Z' }
+    ], { verbose: false });
+    validator.learnSchema('test/learn', 'Assets', [
+      { id: 42, status: 'inactive', createdAt: null, region: 'NL' }
+    ], { verbose: false });
+
+    const schema = JSON.parse(fs.readFileSync(validator.getSchemaPath('test/learn', 'Assets'), 'utf8'));
+    const props = schema.items.properties;
+    assert.deepStrictEqual(props.id.type, ['string', 'number'], 'Should widen id to a union type');
+    assert.deepStrictEqual(props.createdAt.type, ['string', 'null'], 'Should make createdAt nullable');
+    assert.strictEqual(props.createdAt.format, 'date-time', 'Should keep the agreed format');
+    assert.deepStrictEqual(props.region.type, ['string', 'null'], 'New field should be nullable');
+    assert.deepStrictEqual(schema.items.required, ['id', 'status'], 'Required should be the intersection');
+
+    const isValid = validator.validateJsonSchemaSync('test/learn', 'Assets', [
+      { id: 'a2', status: 'active', createdAt: null }
+    ], { verbose: false });
+    assert.strictEqual(isValid, true, 'Learned schema should accept both shapes');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('NESTED SCHEMA GENERATION');
+  console.log('='.repeat(60));
+
+  // Test 27: Recursive merging of nested objects and arrays
+  await test('Generate schema for nested objects and arrays of objects', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const assets = [
+      {
+        id: 'a1',
+        location: { city: 'Rotterdam', postcode: '3011AA' },
+        contracts: [{ contractId: 'c1', startDate: '2024-01-01' }],
+        meters: [{ ean: '871234567890123456', readings: [{ value: 1.5 }] }]
+      },
+      {
+        id: 'a2',
+        location: { city: 'Utrecht' },
+        contracts: [{ contractId: 'c2', startDate: null }, { contractId: 'c3', startDate: '2024-02-01' }],
+        meters: []
+      }
+    ];
+    const schemaPath = await validator.createJsonSchema('test/nested', 'Assets', assets);
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    const props = schema.items.properties;
+
+    assert.deepStrictEqual(props.location.required, ['city'], 'Nested object should have merged required fields');
+    assert.deepStrictEqual(props.location.properties.postcode.type, ['string', 'null'], 'Nested optional field should be nullable');
+    assert.deepStrictEqual(props.contracts.items.properties.startDate.type, ['string', 'null']);
+    assert.strictEqual(props.contracts.items.properties.startDate.format, 'date', 'Nested format should be detected');
+    assert.strictEqual(props.meters.items.properties.readings.items.properties.value.type, 'number', 'Should recurse through nested arrays');
+
+    const broken = [{ ...assets[0], location: { postcode: '3011AA' } }];
+    const isValid = validator.validateJsonSchemaSync('test/nested', 'Assets', broken, { verbose: false });
+    assert.strictEqual(isValid, false, 'Missing nested required field should fail validation');
+  });
+
+  // Test 28: Enum inference for low-cardinality strings
+  await test('Infer enums for low-cardinality string fields', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const assets = Array.from({ length: 12 }, (_, i) => ({
+      name: `Asset ${i}`,
+      status: ['ACTIVE', 'INACTIVE', 'PENDING'][i % 3],
+      assetType: i % 2 ? 'battery' : null
+    }));
+    const schemaPath = await validator.createJsonSchema('test/enum', 'Assets', assets, { inferEnums: true });
+    const props = JSON.parse(fs.readFileSync(schemaPath, 'utf8')).items.properties;
+
+    assert.deepStrictEqual(props.status.enum, ['ACTIVE', 'INACTIVE', 'PENDING'], 'Should infer status enum');
+    assert.deepStrictEqual(props.assetType.enum, ['battery', null], 'Nullable enum should include null');
+    assert.strictEqual(props.name.enum, undefined, 'High-cardinality field should stay a plain string');
+
+    const isValid = validator.validateJsonSchemaSync('test/enum', 'Assets', [
+      { name: 'Asset X', status: 'ACTIVE ', assetType: null }
+    ], { verbose: false });
+    assert.strictEqual(isValid, false, 'Unknown enum value should fail validation');
+
+    const plainPath = await validator.createJsonSchema('test/enum', 'Plain', assets);
+    const plainProps = JSON.parse(fs.readFileSync(plainPath, 'utf8')).items.properties;
+    assert.strictEqual(plainProps.status.enum, undefined, 'Enum inference should be opt-in');
+  });
+
+  // Test 29: Integer and numeric range inference
+  await test('Infer integers, numeric ranges and multipleOf', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const tariffs = [
+      { meterCount: 3, price: 12.99, ratio: 0.5 },
+      { meterCount: 10, price: 0.29, ratio: 1 }
+    ];
+    const schemaPath = await validator.createJsonSchema('test/numeric', 'Tariffs', tariffs, {
+      inferRanges: true,
+      rangeMargin: 0.1,
+      inferMultipleOf: true
+    });
+    const props = JSON.parse(fs.readFileSync(schemaPath, 'utf8')).items.properties;
+
+    assert.strictEqual(props.meterCount.type, 'integer', 'Whole numbers should become integer');
+    assert.strictEqual(validator.inferSchema({ price: 10 }).properties.price.type, 'number',
+      'A single sample should not narrow to integer');
+    assert.strictEqual(validator.inferSchema([{ price: 10 }]).items.properties.price.type, 'number');
+    assert.strictEqual(props.ratio.type, 'number', 'Mixed integer/decimal should widen to number');
+    assert.strictEqual(props.meterCount.minimum, 2, 'Integer bounds should be widened and rounded down');
+    assert.strictEqual(props.meterCount.maximum, 11, 'Integer bounds should be widened and rounded up');
+    assert.strictEqual(props.price.multipleOf, 0.01, 'Prices should get a cent step');
+
+    const valid = validator.validateJsonSchemaSync('test/numeric', 'Tariffs', [
+      { meterCount: 5, price: 7.35, ratio: 0.7 }
+    ], { verbose: false });
+    assert.strictEqual(valid, true, 'Values within range should pass');
+
+    const invalid = validator.validateJsonSchemaSync('test/numeric', 'Tariffs', [
+      { meterCount: 5.5, price: 7.355, ratio: 0.7 }
+    ], { verbose: false });
+    assert.strictEqual(invalid, false, 'Decimal count and sub-cent price should fail');
+  });
+
+  // Test 30: String length and pattern inference
+  await test('Infer string lengths and character-class patterns', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const meters = [
+      { ean: '871234567890123456', iban: 'NL91ABNA0417164300', productCode: 'PRD-001' },
+      { ean: '871234567890654321', iban: 'NL20INGB0001234567', productCode: 'PRD-120' }
+    ];
+    const schemaPath = await validator.createJsonSchema('test/strings', 'Meters', meters, {
+      inferLengths: true,
+      inferPatterns: true
+    });
+    const props = JSON.parse(fs.readFileSync(schemaPath, 'utf8')).items.properties;
+
+    assert.strictEqual(props.ean.pattern, '^[0-9]{18}$', 'Should infer EAN-18 shape');
+    assert.strictEqual(props.iban.pattern, '^NL[0-9]{2}[A-Z]{4}[0-9]{10}$', 'Should keep the shared NL prefix');
+    assert.strictEqual(props.productCode.minLength, 7, 'Should record minLength');
+    assert.strictEqual(props.productCode.maxLength, 7, 'Should record maxLength');
+
+    const invalid = validator.validateJsonSchemaSync('test/strings', 'Meters', [
+      { ean: '87123456789012345', iban: 'BE91ABNA0417164300', productCode: 'PRD-002' }
+    ], { verbose: false });
+    assert.strictEqual(invalid, false, 'Truncated EAN and foreign IBAN should fail');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('CUSTOM FORMAT REGISTRY');
+  console.log('='.repeat(60));
+
+  // Test 31: Register a domain format for detection, validation and mocking
+  await test('Register custom format for detection, validation and mock data', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    validator.registerFormat('nl-postcode', {
+      detect: /^\d{4}\s?[A-Z]{2}$/,
+      mock: () => '3011AA'
+    }, { before: 'date-time' });
+
+    const schemaPath = await validator.createJsonSchema('test/formats', 'Sites', [
+      { postcode: '3011AA' },
+      { postcode: '1012 AB' }
+    ]);
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.strictEqual(schema.items.properties.postcode.format, 'nl-postcode', 'Should detect the registered format');
+
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/formats', 'Sites', [{ postcode: '3011 AA' }], { verbose: false }),
+      true,
+      'Registered format should validate matching values'
+    );
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/formats', 'Sites', [{ postcode: 'ABCD' }], { verbose: false }),
+      false,
+      'Registered format should reject other values'
+    );
+
+    const mock = validator.generateMockData(schema.items);
+    assert.strictEqual(mock.postcode, '3011AA', 'Should use the registered mock generator');
+
+    assert.throws(() => validator.registerFormat('iso-currency', { detect: /^[A-Z]{3}$/ }, { after: 'nope' }));
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('JSON SCHEMA DRAFTS');
+  console.log('='.repeat(60));
+
+  // Test 32: Generate and validate draft 2020-12 schemas
+  await test('Generate, convert and validate draft 2020-12 schemas', async () => {
+    const validator = new SchemaValidator(testSchemaPath, { draft: '2020-12' });
+    const schemaPath = await validator.createJsonSchema('test/drafts', 'Assets', testData);
+    const generated = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.strictEqual(generated.$schema, 'https://json-schema.org/draft/2020-12/schema', 'Should stamp the 2020-12 meta-schema');
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/drafts', 'Assets', testData, { verbose: false }),
+      true,
+      'Should validate with the 2020-12 Ajv class'
+    );
+
+    const legacy = {
+      type: 'object',
+      definitions: { Money: { type: 'object', dependencies: { amount: ['currency'] } } },
+      properties: {
+        price: { $ref: '#/definitions/Money' },
+        reading: { type: 'array', items: [{ type: 'string' }, { type: 'number' }], additionalItems: false }
+      }
+    };
+    const converted = validator.convertSchemaDraft(legacy);
+    assert.ok(converted.$defs.Money, 'definitions should become $defs');
+    assert.strictEqual(converted.properties.price.$ref, '#/$defs/Money', 'Refs should follow $defs');
+    assert.deepStrictEqual(converted.$defs.Money.dependentRequired, { amount: ['currency'] });
+    assert.strictEqual(converted.properties.reading.prefixItems.length, 2, 'Tuples should use prefixItems');
+
+    assert.strictEqual(validator.validateJsonSchemaSync(converted, { price: { amount: 10 } }).valid, false,
+      'dependentRequired should be enforced');
+    assert.strictEqual(validator.validateJsonSchemaSync(converted, { reading: ['kWh', 12.5] }).valid, true);
+    assert.strictEqual(validator.validateJsonSchemaSync(converted, { reading: ['kWh', 12.5, 1] }).valid, false,
+      'Extra tuple items should be rejected');
+
+    assert.throws(() => new SchemaValidator(testSchemaPath, { draft: 'draft-04' }), /Unsupported JSON Schema draft/);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('STRICT MODE');
+  console.log('='.repeat(60));
+
+  // Test 33: Strict generation and validation-time strictness
+  await test('Reject unknown properties with strict generation and validation', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const leaky = testData.map((item) => ({ ...item, assetConfiguration: { ...item.assetConfiguration, debug: true } }));
+
+    const strictPath = await validator.createJsonSchema('test/strict', 'Assets', testData, { strict: true });
+    const strictSchema = JSON.parse(fs.readFileSync(strictPath, 'utf8'));
+    assert.strictEqual(strictSchema.items.additionalProperties, false, 'Item objects should be closed');
+    assert.strictEqual(strictSchema.items.properties.assetConfiguration.additionalProperties, false,
+      'Nested objects should be closed');
+    assert.strictEqual(validator.validateJsonSchemaSync('test/strict', 'Assets', leaky, { verbose: false }), false,
+      'Leaked nested field should fail');
+
+    await validator.createJsonSchema('test/strict', 'Lenient', testData);
+    assert.strictEqual(validator.validateJsonSchemaSync('test/strict', 'Lenient', leaky, { verbose: false }), true,
+      'Lenient schema should accept extra fields');
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/strict', 'Lenient', leaky, { verbose: false, strict: true }),
+      false,
+      'strict override should reject extra fields'
+    );
+    const lenient = JSON.parse(fs.readFileSync(validator.getSchemaPath('test/strict', 'Lenient'), 'utf8'));
+    assert.strictEqual(lenient.items.additionalProperties, undefined, 'strict override should not rewrite the file');
+    assert.strictEqual(await validator.validateJsonSchema('test/strict', 'Lenient', leaky, { verbose: false }), true,
+      'Strict validator should be cached separately');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('POLYMORPHIC ARRAYS');
+  console.log('='.repeat(60));
+
+  // Test 34: Polymorphic arrays
+  await test('Infer oneOf variants for discriminated object arrays', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const events = [
+      { id: 'e1', type: 'meterReading', meterId: 'M-1', value: 12.5 },
+      { id: 'e2', type: 'tariffChange', tariffId: 'T-1', rate: 0.21 },
+      { id: 'e3', type: 'meterReading', meterId: 'M-2', value: 9 },
+      { id: 'e4', type: 'tariffChange', tariffId: 'T-2', rate: 0.19 },
+    ];
+
+    const schemaPath = await validator.createJsonSchema('test/variants', 'Events', events, { inferDiscriminators: true });
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.strictEqual(schema.items.oneOf.length, 2, 'Should emit one branch per event type');
+    const [reading, tariff] = schema.items.oneOf;
+    assert.strictEqual(reading.properties.type.const, 'meterReading');
+    assert.deepStrictEqual(reading.required, ['id', 'type', 'meterId', 'value']);
+    assert.deepStrictEqual(tariff.required, ['id', 'type', 'tariffId', 'rate']);
+    assert.strictEqual(validator.validateJsonSchemaSync('test/variants', 'Events', events, { verbose: false }), true);
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/variants', 'Events', [{ id: 'x', type: 'tariffChange', meterId: 'M-3', value: 1 }], { verbose: false }),
+      false,
+      'Tariff change without its own fields should fail'
+    );
+
+    validator.learnSchema('test/variants', 'Events', [{ id: 'e5', type: 'alert', level: 'high' }, events[0]],
+      { inferDiscriminators: true, verbose: false });
+    const learned = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.deepStrictEqual(learned.items.oneOf.map((branch) => branch.properties.type.const),
+      ['meterReading', 'tariffChange', 'alert'], 'Learning should append new variants');
+
+    const plain = await validator.createJsonSchema('test/variants', 'Plain', events);
+    assert.strictEqual(JSON.parse(fs.readFileSync(plain, 'utf8')).items.oneOf, undefined, 'Variants are opt-in');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SHARED DEFINITIONS');
+  console.log('='.repeat(60));
+
+  // Test 35: Hoist repeated shapes into definitions
+  await test('Deduplicate repeated subschemas into definitions', async () => {
+    const address = (street) => ({ street, city: 'Delft', zip: '2611 AB' });
+    const customers = [1, 2].map((id) => ({
+      id,
+      address: address(`Main ${id}`),
+      billing: { iban: 'NL91ABNA0417164300', address: address(`Billing ${id}`) },
+      sites: [{ name: `Site ${id}`, address: address(`Plant ${id}`) }],
+    }));
+
+    const validator = new SchemaValidator(testSchemaPath);
+    const schemaPath = await validator.createJsonSchema('test/defs', 'Customers', customers, { deduplicate: true });
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.deepStrictEqual(Object.keys(schema.definitions), ['address']);
+    assert.deepStrictEqual(schema.items.properties.address, { $ref: '#/definitions/address' });
+    assert.deepStrictEqual(schema.items.properties.billing.properties.address, { $ref: '#/definitions/address' });
+    assert.deepStrictEqual(schema.items.properties.sites.items.properties.address, { $ref: '#/definitions/address' });
+    assert.strictEqual(validator.validateJsonSchemaSync('test/defs', 'Customers', customers, { verbose: false }), true);
+    assert.strictEqual(
+      validator.validateJsonSchemaSync('test/defs', 'Customers', [{ ...customers[0], address: { street: 1 } }], { verbose: false }),
+      false,
+      'Referenced definition should still be enforced'
+    );
+
+    const modern = new SchemaValidator(testSchemaPath, { draft: '2020-12' });
+    const modernPath = await modern.createJsonSchema('test/defs', 'Modern', customers, { deduplicate: true });
+    const modernSchema = JSON.parse(fs.readFileSync(modernPath, 'utf8'));
+    assert.ok(modernSchema.$defs.address, '2020-12 schemas should use $defs');
+    assert.strictEqual(modernSchema.items.properties.address.$ref, '#/$defs/address');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('IN-MEMORY INFERENCE');
+  console.log('='.repeat(60));
+
+  // Test 36: inferSchema has no side effects
+  await test('Infer schemas in memory from one or many samples', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const single = validator.inferSchema(testData);
+    assert.strictEqual(single.type, 'array');
+    assert.deepStrictEqual(single.items.properties.id, { type: 'string', format: 'uuid' });
+    assert.strictEqual(validator.schemaExists('test/infer', 'Assets'), false, 'inferSchema should not touch disk');
+
+    const merged = validator.inferSchema([{ id: 1, name: 'a' }, { id: 2.5 }], { multiple: true });
+    assert.strictEqual(merged.properties.id.type, 'number', 'Samples should be merged');
+    assert.deepStrictEqual(merged.properties.name.type, ['string', 'null'], 'Field missing in one sample is nullable');
+    assert.throws(() => validator.inferSchema({}, { multiple: true }), /non-empty array of samples/);
+
+    const schemaPath = await validator.createJsonSchema('test/infer', 'Assets', testData, { verbose: false });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(schemaPath, 'utf8')), single,
+      'createJsonSchema should write what inferSchema returns');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('HAR IMPORT');
+  console.log('='.repeat(60));
+
+  // Test 37: Generate schemas per endpoint from a HAR recording
+  await test('Generate schemas from a HAR recording', async () => {
+    const entry = (method, url, status, body, mimeType = 'application/json') => ({
+      request: { method, url },
+      response: { status, content: { mimeType, text: typeof body === 'string' ? body : JSON.stringify(body) } },
+    });
+    const har = {
+      log: {
+        entries: [
+          entry('GET', 'https://shop.example.com/api/users/1?expand=true', 200, { id: 1, name: 'Ann' }),
+          entry('GET', 'https://shop.example.com/api/users/2', 200, { id: 2, name: 'Bob', email: 'bob@example.com' }),
+          entry('GET', 'https://shop.example.com/api/users/999', 404, { error: 'Not found' }),
+          entry('POST', 'https://shop.example.com/api/users', 201, { id: 3 }),
+          entry('GET', 'https://shop.example.com/logo.png', 200, 'iVBORw0KGgo=', 'image/png'),
+          entry('GET', '/api/relative', 200, { id: 4 }),
+          entry('GET', 'https://[broken', 200, { id: 5 }),
+          entry(undefined, 'https://shop.example.com/api/users/6', 200, { id: 6 }),
+          { response: { status: 200, content: { mimeType: 'application/json', text: '{"id":7}' } } },
+        ],
+      },
+    };
+
+    const validator = new SchemaValidator(testSchemaPath);
+    const results = await validator.generateSchemasFromHar(har, { folder: 'test/har', verbose: false });
+    assert.deepStrictEqual(
+      results.map(({ method, path: endpoint, status, samples }) => `${method} ${endpoint} ${status} x${samples}`),
+      ['GET /api/users/{id} 200 x2', 'GET /api/users/{id} 404 x1', 'POST /api/users 201 x1']
+    );
+    assert.ok(validator.schemaExists('test/har/api/users/{id}', 'GET_200'));
+    const users = JSON.parse(fs.readFileSync(results[0].schemaPath, 'utf8'));
+    assert.deepStrictEqual(users.properties.email.type, ['string', 'null'], 'email only appears in one response');
+
+    const harPath = path.join(testSchemaPath, 'recording.har');
+    fs.writeFileSync(harPath, JSON.stringify(har));
+    const templated = await validator.generateSchemasFromHar(harPath, {
+      folder: 'test/har-templates',
+      pathTemplates: ['/api/users/{userId}'],
+      verbose: false,
+    });
+    assert.strictEqual(templated[0].path, '/api/users/{userId}');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SCHEMA REGENERATION');
+  console.log('='.repeat(60));
+
+  // Test 38: Preview and apply a regenerated schema
+  await test('Regenerate a schema with preview and hand-written keyword retention', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const schemaPath = await validator.createJsonSchema('test/regen', 'Assets', testData, { verbose: false });
+    const refined = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    refined.items.properties.name.description = 'Display name';
+    refined.items.properties.name.pattern = '^Test';
+    refined.items.properties.assetConfiguration.properties.type.enum = ['solar', 'wind', 'battery'];
+    fs.writeFileSync(schemaPath, JSON.stringify(refined, null, 2));
+
+    const changed = testData.map(({ email, ...item }) => ({ ...item, region: 'NL' }));
+    const preview = validator.regenerateSchema('test/regen', 'Assets', changed, { dryRun: true, verbose: false });
+    assert.strictEqual(preview.applied, false);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(schemaPath, 'utf8')), refined, 'Dry run should not write');
+    assert.deepStrictEqual(preview.diff.breaking, [
+      { type: 'required_field_removed', field: 'email' },
+      { type: 'required_field_added', field: 'region' },
+    ]);
+
+    const result = validator.regenerateSchema('test/regen', 'Assets', changed, { apply: true, verbose: false });
+    assert.strictEqual(result.applied, true);
+    const written = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    assert.strictEqual(written.items.properties.email, undefined, 'Removed field should be dropped');
+    assert.strictEqual(written.items.properties.name.description, 'Display name');
+    assert.strictEqual(written.items.properties.name.pattern, '^Test');
+    assert.deepStrictEqual(written.items.properties.assetConfiguration.properties.type.enum, ['solar', 'wind', 'battery']);
+    assert.strictEqual(validator.validateJsonSchemaSync('test/regen', 'Assets', changed, { verbose: false }), true);
+
+    const events = [
+      { id: 'e1', type: 'meterReading', meterId: 'M-1' },
+      { id: 'e2', type: 'tariffChange', rate: 0.21 },
+      { id: 'e3', type: 'meterReading', meterId: 'M-2' },
+      { id: 'e4', type: 'tariffChange', rate: 0.19 },
+    ];
+    const eventsPath = await validator.createJsonSchema('test/regen', 'Events', events, { inferDiscriminators: true, verbose: false });
+    const edited = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+    edited.items.oneOf[0].properties.meterId.pattern = '^M-';
+    edited.items.oneOf[1].description = 'Tariff update';
+    edited.items.oneOf[1].properties.rate.maximum = 1;
+    fs.writeFileSync(eventsPath, JSON.stringify(edited, null, 2));
+
+    // The variants now arrive in the other order, so they must be matched by discriminator, not position
+    validator.regenerateSchema('test/regen', 'Events', [events[1], events[0], events[3], events[2]],
+      { apply: true, inferDiscriminators: true, verbose: false });
+    const [tariff, reading] = JSON.parse(fs.readFileSync(eventsPath, 'utf8')).items.oneOf;
+    assert.strictEqual(tariff.properties.type.const, 'tariffChange');
+    assert.strictEqual(tariff.description, 'Tariff update');
+    assert.strictEqual(tariff.properties.rate.maximum, 1);
+    assert.strictEqual(reading.properties.meterId.pattern, '^M-', 'Keywords inside variants should be kept');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('ANNOTATED GENERATION');
+  console.log('='.repeat(60));
+
+  // Test 39: Titles, descriptions and redacted examples
+  await test('Annotate generated schemas with titles, descriptions and redacted examples', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const schema = validator.inferSchema(testData, { annotate: true, maxExamples: 1 });
+    const { name, email, fullName, assetConfiguration } = schema.items.properties;
+
+    assert.strictEqual(name.title, 'Name');
+    assert.strictEqual(assetConfiguration.title, 'Asset Configuration');
+    assert.strictEqual(email.description, 'Email (email)');
+    assert.deepStrictEqual(name.examples, ['Test Asset 1'], 'maxExamples should cap examples');
+    assert.strictEqual(email.examples, undefined, 'E-mail fields should get no examples');
+    assert.strictEqual(fullName.examples, undefined, 'Personal name fields should get no examples');
+    const contact = validator.inferSchema({
+      phone: '+31 6 12345678', mobile_number: 31612345678, accountNumber: 123456789, postcode: '1234 AB',
+      note: 'Call +31 6 12345678 or mail jan@example.nl',
+    }, { annotate: true }).properties;
+    for (const field of ['phone', 'mobile_number', 'accountNumber', 'postcode']) {
+      assert.strictEqual(contact[field].examples, undefined, `${field} should get no examples, whatever its type`);
+    }
+    assert.deepStrictEqual(contact.note.examples, ['Call +00 000 000000 or mail user@example.com'],
+      'International phone numbers should be redacted');
+    assert.deepStrictEqual(assetConfiguration.properties.capacity.examples, [100]);
+    assert.strictEqual(validator.inferSchema({ created_at: '2024-01-01' }, { annotate: true }).properties.created_at.title,
+      'Created At');
+
+    const docs = validator.generateDocumentation('Assets', schema.items);
+    assert.ok(docs.includes('| name | string | Yes | Name (string) |'), 'Docs should show generated descriptions');
+    const mock = validator.generateMockData(schema.items, { seed: 7, useExamples: true });
+    assert.strictEqual(mock.name, 'Test Asset 1', 'Mock data should reuse examples when asked to');
+    assert.notStrictEqual(validator.generateMockData(schema.items, { seed: 7 }).name, 'Test Asset 1',
+      'Examples are opt-in, so existing callers keep getting generated data');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('DETAILED RESULTS');
+  console.log('='.repeat(60));
+
+  // Test 40: Structured validation results
+  await test('Return detailed validation results', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    await validator.createJsonSchema('test/detailed', 'Assets', testData, { verbose: false });
+
+    const ok = validator.validateDetailed('test/detailed', 'Assets', testData);
+    assert.strictEqual(ok.valid, true);
+    assert.deepStrictEqual(ok.errors, []);
+    assert.strictEqual(ok.schemaPath, validator.getSchemaPath('test/detailed', 'Assets'));
+    assert.ok(typeof ok.durationMs === 'number' && ok.durationMs >= 0);
+
+    const broken = [{ ...testData[0], id: 42 }];
+    const [typeError] = validator.validateDetailed('test/detailed', 'Assets', broken).errors;
+    assert.deepStrictEqual(typeError, {
+      pointer: '/0/id',
+      keyword: 'type',
+      message: 'At /0/id: must be string',
+      actual: 42,
+      expected: 'string',
+      schemaLocation: '#/items/properties/id/type',
+    });
+
+    const { email, ...withoutEmail } = testData[0];
+    const [missing] = validator.validateDetailed('test/detailed', 'Assets', [withoutEmail]).errors;
+    assert.strictEqual(missing.pointer, '/0/email', 'Missing property should be pointed at directly');
+    assert.strictEqual(missing.actual, undefined);
+
+    const asyncResult = await validator.validateJsonSchema('test/detailed', 'Assets', broken,
+      { verbose: false, returnDetails: true });
+    assert.strictEqual(asyncResult.errors[0].pointer, '/0/id');
+
+    const noSchema = validator.validateDetailed('test/detailed', 'Missing', testData);
+    assert.strictEqual(noSchema.valid, false);
+    assert.strictEqual(noSchema.errors[0].keyword, 'schema');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SHARED AJV CONFIGURATION');
+  console.log('='.repeat(60));
+
+  // Test 41: Constructor Ajv options reach every validation path
+  await test('Honour constructor Ajv options in every validation method', async () => {
+    const schema = {
+      type: 'object',
+      properties: { sku: { type: 'string', format: 'sku' }, qty: { type: 'integer' } },
+      required: ['sku', 'qty'],
+    };
+    fs.mkdirSync(path.join(testSchemaPath, 'test/ajv'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/ajv/Item_schema.json'), JSON.stringify(schema));
+    const bad = { sku: 'nope', qty: 'many' };
+
+    const collecting = new SchemaValidator(testSchemaPath, { allErrors: true, customFormats: { sku: /^SKU-\d+$/ } });
+    assert.strictEqual(collecting.validateJsonSchemaSync('test/ajv', 'Item', { sku: 'SKU-1', qty: 1 }, { verbose: false }), true,
+      'customFormats should be registered for file-based validation');
+    assert.strictEqual(collecting.validateDetailed('test/ajv', 'Item', bad).errors.length, 2, 'allErrors should collect every error');
+    collecting.registerEnvironmentSchema('qa', 'test/ajv', 'Item', path.join(testSchemaPath, 'test/ajv/Item_schema.json'));
+    assert.strictEqual(collecting.validateWithEnvironment('test/ajv', 'Item', bad, 'qa').errors.length, 2);
+    assert.strictEqual(collecting.validateRequest({ body: bad }, { body: schema }).body.errors.length, 2);
+
+    const firstError = new SchemaValidator(testSchemaPath, { customFormats: { sku: /^SKU-\d+$/ } });
+    assert.strictEqual(firstError.validateDetailed('test/ajv', 'Item', bad).errors.length, 1, 'allErrors defaults to false');
+    assert.strictEqual(firstError.validateSync('test/ajv', 'Item', bad, { allErrors: true }).errors.length, 2,
+      'Per-call options should still override');
+    assert.strictEqual(firstError.validateJsonSchemaSync(schema, bad).errors.length, 2, 'Inline mode should keep collecting all errors');
+    assert.strictEqual(firstError.validateRequest({ body: bad }, { body: schema }).body.errors.length, 2);
+    const union = { type: 'object', properties: { id: { type: ['string', 'integer'] } } };
+    assert.strictEqual(firstError.validateJsonSchemaSync(union, { id: 1 }).valid, true, 'Inline mode should allow union types');
+
+    const explicit = new SchemaValidator(testSchemaPath, { allErrors: false, customFormats: { sku: /^SKU-\d+$/ } });
+    assert.strictEqual(explicit.validateJsonSchemaSync(schema, bad).errors.length, 1, 'An explicit constructor option should win');
+    assert.strictEqual(explicit.validateRequest({ body: bad }, { body: schema }).body.errors.length, 1);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('CROSS-FILE REFERENCES');
+  console.log('='.repeat(60));
+
+  // Test 42: $ref to other schema files under schemaBasePath
+  await test('Resolve $ref across schema files, including cycles', async () => {
+    const write = (file, schema) => {
+      fs.mkdirSync(path.dirname(path.join(testSchemaPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(testSchemaPath, file), JSON.stringify(schema));
+    };
+    write('test/refs/common/Money_schema.json', {
+      definitions: {
+        amount: {
+          type: 'object',
+          properties: { value: { type: 'number' }, currency: { type: 'string', pattern: '^[A-Z]{3}$' } },
+          required: ['value', 'currency'],
+        },
+      },
+    });
+    write('test/refs/common/Category_schema.json', {
+      type: 'object',
+      properties: { name: { type: 'string' }, parent: { $ref: 'Category_schema.json' }, sample: { $ref: '../shop/Order_schema.json' } },
+    });
+    write('test/refs/shop/Order_schema.json', {
+      type: 'object',
+      properties: {
+        total: { $ref: '../common/Money_schema.json#/definitions/amount' },
+        category: { $ref: '../common/Category_schema.json' },
+      },
+      required: ['total'],
+    });
+    write('test/refs/shop/Escape_schema.json', { properties: { x: { $ref: '../../../../outside_schema.json' } } });
+
+    const validator = new SchemaValidator(testSchemaPath);
+    const order = { total: { value: 9.5, currency: 'EUR' }, category: { name: 'Tools', parent: { name: 'Home' } } };
+    assert.strictEqual(validator.validateJsonSchemaSync('test/refs/shop', 'Order', order, { verbose: false }), true);
+
+    const result = validator.validateDetailed('test/refs/shop', 'Order', { ...order, total: { value: 1, currency: 'eur' } });
+    assert.strictEqual(result.errors[0].pointer, '/total/currency');
+    assert.strictEqual(result.errors[0].schemaLocation,
+      '../common/Money_schema.json#/definitions/amount/properties/currency/pattern');
+    assert.strictEqual(await validator.validateJsonSchema('test/refs/shop', 'Order',
+      { ...order, category: { parent: { name: 1 } } }, { verbose: false }), false, 'Recursive refs should be enforced');
+    assert.strictEqual(validator.validateSync('test/refs/shop', 'Order', order).valid, true);
+
+    const escape = validator.validateDetailed('test/refs/shop', 'Escape', {});
+    assert.match(escape.errors[0].message, /outside the schema base path/);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('DID YOU MEAN SUGGESTIONS');
+  console.log('='.repeat(60));
+
+  // Test 43: Near-miss property names and enum values get a suggestion
+  await test('Suggest renames for near-miss properties and enum typos', async () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        customerId: { type: 'string' },
+        customerName: { type: 'string' },
+        status: { type: 'string', enum: ['ACTIVE', 'INACTIVE', 'PENDING'] },
+        orders: { type: 'array', items: { type: 'object', properties: { orderId: { type: 'integer' } }, required: ['orderId'] } },
+      },
+      required: ['customerId', 'customerName', 'status'],
+    };
+    fs.mkdirSync(path.join(testSchemaPath, 'test/suggest'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/suggest/Customer_schema.json'), JSON.stringify(schema));
+
+    const validator = new SchemaValidator(testSchemaPath, { allErrors: true });
+    const body = { customerID: 'C-1', customerName: 'Acme', status: 'ACTVE', orders: [{ order_id: 7 }] };
+    const result = validator.validateDetailed('test/suggest', 'Customer', body);
+    const byPointer = Object.fromEntries(result.errors.map((e) => [e.pointer, e.suggestion]));
+    assert.strictEqual(byPointer['/customerId'], 'did you mean customerID → customerId (rename?)');
+    assert.strictEqual(byPointer['/status'], 'did you mean "ACTIVE" instead of "ACTVE"?');
+    assert.strictEqual(byPointer['/orders/0/orderId'], 'did you mean order_id → orderId (rename?)');
+
+    const strict = validator.validateDetailed('test/suggest', 'Customer', { ...body, status: 'ACTIVE' }, { strict: true });
+    const unexpected = strict.errors.find((e) => e.keyword === 'additionalProperties' && e.pointer === '/customerID');
+    assert.strictEqual(unexpected.suggestion, 'did you mean customerID → customerId (rename?)');
+
+    const unrelated = validator.validateDetailed('test/suggest', 'Customer',
+      { customerName: 'Acme', status: 'CLOSED', nickname: 'x' });
+    assert.deepStrictEqual(unrelated.errors.map((e) => e.suggestion), [undefined, undefined],
+      'Dissimilar or declared names should not produce suggestions');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('CACHE INVALIDATION');
+  console.log('='.repeat(60));
+
+  // Test 44: Cached schemas are reloaded when their files change on disk
+  await test('Reload cached schemas when files change, optionally via fs.watch', async () => {
+    const dir = path.join(testSchemaPath, 'test/cache');
+    const schemaFile = path.join(dir, 'Meter_schema.json');
+    const write = (file, schema) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(schema));
+    };
+    const meterSchema = (codeType) => ({
+      type: 'object',
+      properties: { code: { type: codeType }, reading: { $ref: 'common/Reading_schema.json' } },
+      required: ['code'],
+    });
+    write(schemaFile, meterSchema('string'));
+    write(path.join(dir, 'common/Reading_schema.json'), { type: 'number' });
+
+    const validator = new SchemaValidator(testSchemaPath, { checkInterval: 0 });
+    const reloads = [];
+    validator.on('schemaReloaded', (event) => reloads.push(event));
+    const validate = (body) => validator.validateJsonSchemaSync('test/cache', 'Meter', body, { verbose: false });
+
+    assert.strictEqual(validate({ code: 'E-1', reading: 1.5 }), true);
+    write(schemaFile, meterSchema('integer'));
+    assert.strictEqual(validate({ code: 'E-1', reading: 1.5 }), false, 'Changed schema should be recompiled');
+    assert.deepStrictEqual(reloads.map((e) => [e.fileName, e.reason]), [['Meter', 'changed']]);
+
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(schemaFile, later, later);
+    assert.strictEqual(validate({ code: 7 }), true);
+    assert.strictEqual(reloads.length, 1, 'A touched but unchanged file should not be reloaded');
+
+    write(path.join(dir, 'common/Reading_schema.json'), { type: 'integer' });
+    assert.strictEqual(await validator.validateJsonSchema('test/cache', 'Meter', { code: 7, reading: 1.5 }, { verbose: false }),
+      false, 'Changes to referenced files should invalidate too');
+    assert.strictEqual(reloads.length, 2);
+
+    const watching = new SchemaValidator(testSchemaPath, { watch: true });
+    assert.deepStrictEqual(watching.getSchema('test/cache', 'Meter').properties.code, { type: 'integer' });
+    const reloaded = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No schemaReloaded event within 5s')), 5000);
+      watching.once('schemaReloaded', (event) => {
+        clearTimeout(timer);
+        resolve(event);
+      });
+    });
+    write(schemaFile, meterSchema('string'));
+    try {
+      const event = await reloaded;
+      assert.strictEqual(event.reason, 'watch');
+      assert.strictEqual(event.schemaPath, path.resolve(schemaFile));
+      let laterReloads = 0;
+      watching.on('schemaReloaded', () => laterReloads++);
+      assert.deepStrictEqual(watching.getSchema('test/cache', 'Meter').properties.code, { type: 'string' });
+      assert.strictEqual(laterReloads, 0, 'The watcher should reload the schema before it is used again');
+    } finally {
+      watching.unwatch();
+    }
+
+    const throttled = new SchemaValidator(testSchemaPath, { checkInterval: 60000 });
+    assert.strictEqual(throttled.validateJsonSchemaSync('test/cache', 'Meter', { code: 'E-1' }, { verbose: false }), true);
+    write(schemaFile, meterSchema('integer'));
+    assert.strictEqual(throttled.validateJsonSchemaSync('test/cache', 'Meter', { code: 'E-1' }, { verbose: false }), true,
+      'Files should be checked at most once per checkInterval');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('PRECOMPILED VALIDATORS');
+  console.log('='.repeat(60));
+
+  // Test 45: precompileAll writes standalone validators that are used while their hash matches
+  await test('Precompile validators and load them only while up to date', async () => {
+    const dir = path.join(testSchemaPath, 'test/precompiled');
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    };
+    write('common/Money_schema.json', { type: 'object', properties: { cents: { type: 'integer' } }, required: ['cents'] });
+    write('shop/Product_schema.json', {
+      type: 'object',
+      properties: {
+        sku: { type: 'string', format: 'sku' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        price: { $ref: '../common/Money_schema.json' },
+      },
+      required: ['sku', 'price'],
+    });
+    write('shop/Broken_schema.json', '{ not json');
+
+    const options = { allErrors: true, customFormats: { sku: /^SKU-\d+$/ } };
+    const results = new SchemaValidator(testSchemaPath, options).precompileAll({ folder: 'test/precompiled', verbose: false });
+    const statusOf = (name) => results.find((r) => r.schemaPath.endsWith(name)).status;
+    assert.strictEqual(statusOf('Money_schema.json'), 'compiled');
+    assert.strictEqual(statusOf('Product_schema.json'), 'compiled');
+    assert.strictEqual(statusOf('Broken_schema.json'), 'failed');
+    const validatorFile = path.join(dir, 'shop/Product_validator.js');
+    assert.ok(fs.existsSync(validatorFile));
+    assert.strictEqual(new SchemaValidator(testSchemaPath, options)
+      .precompileAll({ folder: 'test/precompiled/shop', verbose: false })
+      .find((r) => r.schemaPath.endsWith('Product_schema.json')).status, 'unchanged');
+
+    const good = { sku: 'SKU-1', updatedAt: '2024-01-01T10:00:00Z', price: { cents: 100 } };
+    const bad = { sku: 'X', price: { cents: 1.5 } };
+    const validator = new SchemaValidator(testSchemaPath, options);
+    assert.strictEqual(validator.validateJsonSchemaSync('test/precompiled/shop', 'Product', good, { verbose: false }), true);
+    const detailed = validator.validateDetailed('test/precompiled/shop', 'Product', bad);
+    assert.deepStrictEqual(detailed.errors.map((e) => e.pointer), ['/sku', '/price/cents']);
+
+    // The module is a factory taking the formats, so it also works when required directly
+    const standalone = require(path.resolve(validatorFile))({ sku: /^SKU-\d+$/, 'date-time': () => true });
+    assert.strictEqual(standalone(good), true);
+    assert.strictEqual(standalone({ ...good, sku: 'X' }), false);
+    delete require.cache[path.resolve(validatorFile)];
+
+    // Prove the module is what runs: keep its hash header but make it accept everything
+    const [hashLine] = fs.readFileSync(validatorFile, 'utf8').split('\n');
+    write('shop/Product_validator.js', `${hashLine}\nmodule.exports = () => function validate() { return true; };\n`);
+    const fresh = () => new SchemaValidator(testSchemaPath, options);
+    assert.strictEqual(fresh().validateJsonSchemaSync('test/precompiled/shop', 'Product', bad, { verbose: false }), true);
+    assert.strictEqual(await fresh().validateJsonSchema('test/precompiled/shop', 'Product', bad, { verbose: false }), true);
+    assert.strictEqual(fresh().validateJsonSchemaSync('test/precompiled/shop', 'Product', bad, { verbose: false, strict: true }),
+      false, 'Strict validation should compile the schema');
+    assert.strictEqual(new SchemaValidator(testSchemaPath, { ...options, allErrors: false })
+      .validateJsonSchemaSync('test/precompiled/shop', 'Product', bad, { verbose: false }), false,
+      'Different Ajv options should not use the module');
+
+    write('common/Money_schema.json', { type: 'object', properties: { cents: { type: 'number' } }, required: ['cents'] });
+    assert.strictEqual(fresh().validateJsonSchemaSync('test/precompiled/shop', 'Product', bad, { verbose: false }), false,
+      'A changed referenced schema should make the module outdated');
+
+    write('shop/Tagged_schema.json', { type: 'object', 'x-even': 'n' });
+    const mockOnly = () => new SchemaValidator(testSchemaPath, options).registerKeyword('x-even', { mock: (value) => value });
+    assert.strictEqual(mockOnly().precompileAll({ folder: 'test/precompiled/shop', verbose: false })
+      .find((r) => r.schemaPath.endsWith('Tagged_schema.json')).status, 'compiled');
+    assert.strictEqual(mockOnly().validateJsonSchemaSync('test/precompiled/shop', 'Tagged', { n: 1 }, { verbose: false }), true);
+    const enforcing = fresh().registerKeyword('x-even', { validate: (field, data) => data[field] % 2 === 0 });
+    assert.strictEqual(enforcing.validateJsonSchemaSync('test/precompiled/shop', 'Tagged', { n: 1 }, { verbose: false }), false,
+      'A module compiled while the keyword had no validate function should not be used');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('RESPONSE VALIDATION');
+  console.log('='.repeat(60));
+
+  // Test 46: Status-specific body schemas, headers schema and Content-Type in one result
+  await test('Validate status, headers and body of a response', async () => {
+    const dir = path.join(testSchemaPath, 'test/responses');
+    fs.mkdirSync(dir, { recursive: true });
+    const write = (name, schema) => fs.writeFileSync(path.join(dir, `${name}_schema.json`), JSON.stringify(schema));
+    write('Users', { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] } });
+    write('Users_404', { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] });
+    write('Users_default', { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] });
+    write('Users_headers', { type: 'object', properties: { 'x-request-id': { type: 'string', format: 'uuid' } }, required: ['x-request-id'] });
+
+    const validator = new SchemaValidator(testSchemaPath);
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', 'X-Request-Id': '0f8fad5b-d9cb-469f-a165-70867728950e' };
+
+    const ok = validator.validateResponse('test/responses', 'Users', { status: 200, headers, body: [{ id: 1 }] });
+    assert.strictEqual(ok.valid, true);
+    assert.strictEqual(ok.schemaPath, path.join(dir, 'Users_schema.json'));
+    assert.strictEqual(ok.headersSchemaPath, path.join(dir, 'Users_headers_schema.json'));
+
+    const notFound = validator.validateResponse('test/responses', 'Users', { status: 404, headers, body: [{ id: 1 }] });
+    assert.strictEqual(notFound.schemaPath, path.join(dir, 'Users_404_schema.json'));
+    assert.deepStrictEqual(notFound.errors.map((e) => [e.source, e.pointer, e.keyword]), [['body', '', 'type']],
+      'A 404 must not validate against the success schema');
+
+    const serverError = validator.validateResponse('test/responses', 'Users', {
+      status: 500,
+      headers: { 'content-type': 'text/html' },
+      body: '<html>',
+    });
+    assert.strictEqual(serverError.schemaPath, path.join(dir, 'Users_default_schema.json'));
+    assert.deepStrictEqual(serverError.errors.map((e) => e.source), ['contentType', 'headers', 'body']);
+    assert.strictEqual(serverError.errors[0].message, 'Expected Content-Type application/json, got text/html');
+
+    const problem = validator.validateResponse('test/responses', 'Users',
+      { status: 500, headers: { ...headers, 'Content-Type': 'application/problem+json' }, body: { message: 'boom' } });
+    assert.strictEqual(problem.valid, true, '+json media types count as JSON');
+
+    assert.strictEqual(validator.validateResponse('test/responses', 'Users',
+      { status: 200, headers, body: [{ id: 1 }] }, { contentType: 'application/vnd.api+json' }).errors[0].source, 'contentType');
+
+    const orders = validator.validateResponse('test/responses', 'Orders', { status: 201, headers, body: {} });
+    assert.deepStrictEqual(orders.errors.map((e) => e.source), ['status']);
+    assert.strictEqual(orders.schemaPath, null);
+    assert.throws(() => validator.validateResponse('test/responses', 'Orders', { status: 201, headers }, { throwOnError: true }),
+      /Response validation failed for test\/responses\/Orders \(status 201\)/);
+
+    for (const status of [undefined, 'abc', 200.5, 42, 600]) {
+      const invalid = validator.validateResponse('test/responses', 'Users', { status, headers, body: { message: 'ok' } });
+      assert.strictEqual(invalid.valid, false, `Status ${status} should be rejected`);
+      assert.deepStrictEqual(invalid.errors.map((e) => [e.source, e.keyword]), [['status', 'status']]);
+      assert.strictEqual(invalid.schemaPath, null, 'No body schema should apply, not even the default one');
+    }
+    assert.strictEqual(validator.validateResponse('test/responses', 'Users', { status: '200', headers, body: [{ id: 1 }] }).valid, true);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('STREAMING VALIDATION');
+  console.log('='.repeat(60));
+
+  // Test 47: JSON array and NDJSON streams are validated item by item
+  await test('Validate JSON array and NDJSON streams item by item', async () => {
+    const { Readable } = require('stream');
+    fs.mkdirSync(path.join(testSchemaPath, 'test/stream'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/stream/Export_schema.json'), JSON.stringify({
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+        required: ['id', 'name'],
+      },
+    }));
+    // Split into small Buffer chunks so items, strings and multi-byte characters span chunk boundaries
+    const chunked = (text, size = 7) => {
+      const bytes = Buffer.from(text);
+      const chunks = [];
+      for (let i = 0; i < bytes.length; i += size) chunks.push(bytes.subarray(i, i + size));
+      return Readable.from(chunks);
+    };
+    const items = Array.from({ length: 40 }, (_, i) => ({ id: i, name: `Meter "${i}" €, [x]`, tags: ['a', '{b}'] }));
+    items[5].id = 'five';
+    items[12] = { id: 12 };
+    items[30].tags = [1];
+
+    const validator = new SchemaValidator(testSchemaPath);
+    const result = await validator.validateStream('test/stream', 'Export', chunked(JSON.stringify(items, null, 2)));
+    assert.strictEqual(result.itemCount, 40);
+    assert.strictEqual(result.invalidCount, 3);
+    assert.deepStrictEqual(result.errors.map((e) => [e.index, e.pointer, e.keyword]),
+      [[5, '/5/id', 'type'], [12, '/12/name', 'required'], [30, '/30/tags/0', 'type']]);
+    assert.strictEqual(result.errors[0].actual, 'five');
+    assert.strictEqual(result.truncated, false);
+
+    const capped = await validator.validateStream('test/stream', 'Export', chunked(JSON.stringify(items)), { maxErrors: 2 });
+    assert.strictEqual(capped.errors.length, 2);
+    assert.strictEqual(capped.truncated, true);
+    assert.strictEqual(capped.invalidCount, 3, 'Items should still be counted after the cap');
+
+    const ndjson = ['{"id":1,"name":"a"}', '', '{"id":2,', '{"id":3,"name":"c"}'].join('\n');
+    const lines = await validator.validateStream('test/stream', 'Export', chunked(ndjson, 5), { format: 'ndjson' });
+    assert.strictEqual(lines.itemCount, 3);
+    assert.deepStrictEqual(lines.errors.map((e) => [e.index, e.keyword]), [[1, 'parse']]);
+
+    const tooShort = await validator.validateStream('test/stream', 'Export', Readable.from(['[{"id":1,"name":"a"}]']));
+    assert.deepStrictEqual(tooShort.errors.map((e) => e.keyword), ['minItems']);
+    const notArray = await validator.validateStream('test/stream', 'Export', Readable.from(['{"id":1}']));
+    assert.match(notArray.errors[0].message, /expected a JSON array/);
+    const unclosed = await validator.validateStream('test/stream', 'Export', Readable.from(['[{"id":1,"name":"a"},']));
+    assert.match(unclosed.errors[0].message, /not closed/);
+    await assert.rejects(validator.validateStream('test/stream', 'Export', Readable.from([]), { format: 'xml' }), /Unsupported format/);
+
+    // A declared $id with a fragment must not make the items schema unresolvable (every item would pass)
+    fs.writeFileSync(path.join(testSchemaPath, 'test/stream/Tagged_schema.json'), JSON.stringify({
+      $id: 'https://example.com/export.json#', type: 'array', items: { type: 'object', required: ['id'] },
+    }));
+    const tagged = await validator.validateStream('test/stream', 'Tagged', Readable.from(['[{"id":1},{"name":"x"}]']));
+    assert.deepStrictEqual(tagged.errors.map((e) => [e.index, e.keyword]), [[1, 'required']]);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('PARTIAL VALIDATION');
+  console.log('='.repeat(60));
+
+  // Test 48: Validate a subtree of the body, optionally against a sub-schema
+  await test('Validate a JSON Pointer or JSONPath subtree against a sub-schema', async () => {
+    fs.mkdirSync(path.join(testSchemaPath, 'test/partial'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/partial/Asset_schema.json'), JSON.stringify({
+      definitions: {
+        id: { type: 'string', pattern: '^A-\\d+$' },
+        asset: {
+          type: 'object',
+          properties: { id: { $ref: '#/definitions/id' }, kind: { type: 'string', enum: ['meter', 'battery'] } },
+          required: ['id', 'kind'],
+        },
+        page: { type: 'object', properties: { total: { type: 'integer' } }, required: ['total'] },
+      },
+      $ref: '#/definitions/asset',
+    }));
+    const body = {
+      envelope: { owner: 'another team', trace: 42 },
+      data: {
+        assets: [{ id: 'A-1', kind: 'meter' }, { id: 'B-2', kind: 'meter' }, { id: 'A-3', kind: 'batery' }],
+        'page info': { total: 3 },
+      },
+    };
+    const validator = new SchemaValidator(testSchemaPath, { allErrors: true });
+
+    assert.strictEqual(validator.validateJsonSchemaSync('test/partial', 'Asset', body, { verbose: false, select: '/data/assets/0' }), true);
+    const all = validator.validateDetailed('test/partial', 'Asset', body, { select: '$.data.assets[*]' });
+    assert.deepStrictEqual(all.errors.map((e) => [e.pointer, e.keyword]),
+      [['/data/assets/1/id', 'pattern'], ['/data/assets/2/kind', 'enum']]);
+    assert.strictEqual(all.errors[0].actual, 'B-2', 'Pointers should resolve in the whole body');
+    assert.strictEqual(all.errors[1].suggestion, 'did you mean "battery" instead of "batery"?');
+
+    const page = await validator.validateJsonSchema('test/partial', 'Asset', body,
+      { verbose: false, returnDetails: true, select: "$.data['page info']", schemaPointer: '#/definitions/page' });
+    assert.strictEqual(page.valid, true);
+    assert.strictEqual(validator.validateSync('test/partial', 'Asset', body,
+      { select: '$.data.assets[0].id', schemaPointer: '/definitions/id' }).valid, true);
+    assert.strictEqual(validator.validateSync('test/partial', 'Asset', body,
+      { select: '$.data.assets.*.id', schemaPointer: '#/definitions/id' }).errors[0].instancePath, '/data/assets/1/id');
+
+    const missing = validator.validateDetailed('test/partial', 'Asset', body, { select: '/data/sites' });
+    assert.deepStrictEqual(missing.errors.map((e) => [e.keyword, e.message]),
+      [['select', 'At /data/sites: selector "/data/sites" matched nothing']]);
+    assert.match(validator.validateDetailed('test/partial', 'Asset', body, { schemaPointer: '#/definitions/nope' }).errors[0].message,
+      /Schema pointer "#\/definitions\/nope" not found/);
+    assert.throws(() => validator.validateSync('test/partial', 'Asset', body, { select: '$..id' }), /Unsupported JSONPath/);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('CUSTOM KEYWORDS');
+  console.log('='.repeat(60));
+
+  // Test 49: Keyword plugins apply to every validation method and to mock data
+  await test('Register custom keywords with messages and mock generators', async () => {
+    const contracts = {
+      keywords: {
+        'x-unique-by': {
+          type: 'array',
+          schemaType: 'string',
+          validate: (field, items) => new Set(items.map((item) => item && item[field])).size === items.length,
+          message: (field) => `must have unique "${field}" values`,
+          mock: (items, field) => items.map((item, i) => ({ ...item, [field]: `${field}-${i + 1}` })),
+        },
+        'x-sum-equals': {
+          type: 'object',
+          validate: ({ items, field, total }, data) =>
+            (data[items] || []).reduce((sum, line) => sum + line[field], 0) === data[total],
+          message: ({ items, field, total }) => `${total} must equal the sum of ${items}[].${field}`,
+          mock: (order, { items, field, total }) =>
+            ({ ...order, [total]: order[items].reduce((sum, line) => sum + line[field], 0) }),
+        },
+      },
+    };
+    const schema = {
+      type: 'object',
+      'x-sum-equals': { items: 'lines', field: 'cents', total: 'totalCents' },
+      properties: {
+        totalCents: { type: 'integer' },
+        lines: {
+          type: 'array',
+          'x-unique-by': 'sku',
+          items: { type: 'object', properties: { sku: { type: 'string' }, cents: { type: 'integer', minimum: 1, maximum: 100 } } },
+        },
+      },
+      required: ['totalCents', 'lines'],
+    };
+    fs.mkdirSync(path.join(testSchemaPath, 'test/keywords'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/keywords/Order_schema.json'), JSON.stringify(schema));
+
+    const validator = new SchemaValidator(testSchemaPath, { allErrors: true });
+    assert.strictEqual(validator.use(contracts), validator, 'use() should chain');
+    const good = { totalCents: 30, lines: [{ sku: 'A', cents: 10 }, { sku: 'B', cents: 20 }] };
+    const bad = { totalCents: 31, lines: [{ sku: 'A', cents: 10 }, { sku: 'A', cents: 20 }] };
+
+    assert.strictEqual(validator.validateJsonSchemaSync('test/keywords', 'Order', good, { verbose: false }), true);
+    const detailed = validator.validateDetailed('test/keywords', 'Order', bad);
+    assert.deepStrictEqual(detailed.errors.map((e) => [e.pointer, e.keyword, e.message]), [
+      ['/lines', 'x-unique-by', 'At /lines: must have unique "sku" values'],
+      ['', 'x-sum-equals', 'At /: totalCents must equal the sum of lines[].cents'],
+    ]);
+    assert.strictEqual(await validator.validateJsonSchema('test/keywords', 'Order', bad, { verbose: false }), false);
+    assert.strictEqual(validator.validateSync('test/keywords', 'Order', bad).errors.length, 2);
+    assert.strictEqual(validator.validateJsonSchemaSync(schema, bad).valid, false, 'Inline mode should know the keywords');
+    assert.strictEqual(validator.validateWithTolerance(schema, bad, {}).valid, false);
+
+    for (const order of validator.generateMockData(schema, { count: 5, seed: 7 })) {
+      assert.strictEqual(validator.validateJsonSchemaSync(schema, order).valid, true, JSON.stringify(order));
+    }
+
+    validator.registerKeyword('x-unique-by', { type: 'array', validate: () => true });
+    assert.strictEqual(validator.validateDetailed('test/keywords', 'Order', bad).errors.length, 1,
+      'Re-registering should replace the definition, including in cached validators');
+    assert.throws(() => new SchemaValidator(testSchemaPath).validateJsonSchemaSync(schema, bad), /unknown keyword/,
+      'Keywords are registered per instance');
+    assert.throws(() => validator.registerKeyword('x-empty', {}), /needs at least one of validate or mock/);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('BUSINESS RULES');
+  console.log('='.repeat(60));
+
+  // Test 50: x-rules and the _rules.json sidecar are checked after the schema
+  await test('Evaluate inline and sidecar business rules', async () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        startDate: { type: 'string', format: 'date' },
+        endDate: { type: 'string', format: 'date' },
+        lineCount: { type: 'integer' },
+        lines: { type: 'array' },
+        contracts: {
+          type: 'array',
+          items: { type: 'object', properties: { validFrom: { type: 'string' }, validTo: { type: 'string' } } },
+        },
+      },
+      required: ['startDate'],
+      'x-rules': [
+        { rule: 'endDate >= startDate', message: 'must not be before startDate', ifPresent: true },
+        'length(lines) == lineCount',
+      ],
+    };
+    fs.mkdirSync(path.join(testSchemaPath, 'test/rules'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/rules/Period_schema.json'), JSON.stringify(schema));
+    fs.writeFileSync(path.join(testSchemaPath, 'test/rules/Period_rules.json'), JSON.stringify({
+      rules: [{ rule: 'validTo > validFrom', each: '$.contracts[*]' }],
+    }));
+
+    const validator = new SchemaValidator(testSchemaPath, { checkInterval: 0 });
+    const good = {
+      startDate: '2024-01-01', endDate: '2024-12-31', lineCount: 1, lines: ['a'],
+      contracts: [{ validFrom: '2024-01-01T00:00:00Z', validTo: '2024-06-30T00:00:00Z' }],
+    };
+    const bad = {
+      startDate: '2024-06-01', endDate: '2024-01-31', lineCount: 2, lines: ['a'],
+      contracts: [{ validFrom: '2024-01-01', validTo: '2025-01-01' }, { validFrom: '2024-05-01', validTo: '2024-04-01' }],
+    };
+
+    assert.strictEqual(validator.validateJsonSchemaSync('test/rules', 'Period', good, { verbose: false }), true);
+    assert.deepStrictEqual(validator.validateDetailed('test/rules', 'Period', { startDate: '2024-01-01', lineCount: 0 })
+      .errors.map((e) => [e.pointer, e.schemaLocation]), [['/lines', '#/x-rules/1']],
+    'A missing field fails a comparison unless the rule is ifPresent');
+    const detailed = validator.validateDetailed('test/rules', 'Period', bad);
+    assert.deepStrictEqual(detailed.errors.map((e) => [e.pointer, e.keyword, e.schemaLocation, e.expected]), [
+      ['/endDate', 'x-rules', '#/x-rules/0', 'endDate >= startDate'],
+      ['/lines', 'x-rules', '#/x-rules/1', 'length(lines) == lineCount'],
+      ['/contracts/1/validTo', 'x-rules', 'Period_rules.json#/rules/0', 'validTo > validFrom'],
+    ]);
+    assert.ok(detailed.errors[0].message.endsWith('must not be before startDate'));
+    assert.strictEqual(detailed.errors[0].actual, '2024-01-31');
+    assert.strictEqual(await validator.validateJsonSchema('test/rules', 'Period', bad, { verbose: false }), false);
+    assert.strictEqual(validator.validateSync('test/rules', 'Period', bad).errors.length, 3);
+    assert.strictEqual(validator.validateDetailed('test/rules', 'Period', bad, {
+      select: '/contracts/1', schemaPointer: '#/properties/contracts/items',
+    }).errors.length, 0, 'Rules belong to the whole schema file, not its sub-schemas');
+
+    const { TZ } = process.env;
+    process.env.TZ = 'Asia/Tokyo';
+    try {
+      const contracts = [
+        { validFrom: '2024-05-31', validTo: '2024-05-31T23:00:00' },
+        { validFrom: '2024-06-01T01:00:00', validTo: '2024-06-01' },
+      ];
+      assert.deepStrictEqual(validator.validateDetailed('test/rules', 'Period', { ...good, contracts })
+        .errors.map((e) => e.pointer), ['/contracts/1/validTo'], 'Dates and zone-less date-times compare as UTC');
+    } finally {
+      if (TZ === undefined) delete process.env.TZ;
+      else process.env.TZ = TZ;
+    }
+
+    fs.writeFileSync(path.join(testSchemaPath, 'test/rules/Period_rules.json'), JSON.stringify([
+      'exists(endDate) || !exists(lineCount)',
+      'lineCount < 3 && !(startDate == "2000-01-01")',
+      '!endDate == true',
+    ]));
+    assert.deepStrictEqual(validator.validateDetailed('test/rules', 'Period', { startDate: '2000-01-01', lineCount: 1, lines: ['a'] })
+      .errors.map((e) => [e.pointer, e.schemaLocation]), [
+      ['/endDate', 'Period_rules.json#/0'],
+      ['/lineCount', 'Period_rules.json#/1'],
+    ], 'Changing the sidecar should reload the rules');
+
+    fs.writeFileSync(path.join(testSchemaPath, 'test/rules/Period_rules.json'), JSON.stringify(['endDate >> startDate']));
+    assert.throws(() => validator.validateSync('test/rules', 'Period', good), /Invalid rule "endDate >> startDate"/);
+    fs.writeFileSync(path.join(testSchemaPath, 'test/rules/Period_rules.json'), JSON.stringify(['sum(lines) > 0']));
+    assert.throws(() => validator.validateSync('test/rules', 'Period', good), /unknown function "sum"/);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SHARED AJV CACHE');
+  console.log('='.repeat(60));
+
+  // Test 51: Fresh but identical schema objects reuse one compiled validator
+  await test('Compiled schema cache stays bounded across repeated calls', async () => {
+    fs.mkdirSync(path.join(testSchemaPath, 'test/bounded'), { recursive: true });
+    fs.writeFileSync(path.join(testSchemaPath, 'test/bounded/Item_schema.json'),
+      JSON.stringify({ type: 'object', properties: { id: { type: 'integer' } } }));
+    const validator = new SchemaValidator(testSchemaPath);
+    const callAll = () => {
+      validator.validateJsonSchemaSync({ type: 'object', properties: { id: { type: 'integer' } } }, { id: 1 });
+      validator.validateRequest({ body: { id: 1 } }, { body: { type: 'object', required: ['id'] } });
+      validator.validateWithTolerance('test/bounded', 'Item', { id: 1 }, {});
+      validator.validateSync('test/bounded', 'Item', { id: 1 });
+    };
+
+    callAll();
+    const { compiledSchemaCount } = validator.getCacheStats();
+    for (let i = 0; i < 200; i++) callAll();
+    assert.strictEqual(validator.getCacheStats().compiledSchemaCount, compiledSchemaCount);
+    assert.strictEqual(validator.validateJsonSchemaSync({ type: 'integer' }, 'x').valid, false,
+      'Different content should still compile on its own');
+
+    const countAfter = (fn) => {
+      const before = validator.getCacheStats().compiledSchemaCount;
+      fn();
+      return validator.getCacheStats().compiledSchemaCount - before;
+    };
+    const inline = () => validator.validateJsonSchemaSync({ type: 'object', properties: { id: { type: 'integer' } } }, { id: 1 });
+    validator.clearCache();
+    assert.strictEqual(countAfter(inline), 1, 'clearCache should drop validators kept by content');
+    assert.strictEqual(countAfter(() => {
+      for (let i = 0; i < 500; i++) validator.validateJsonSchemaSync({ type: 'integer', maximum: i }, 1);
+    }), 500);
+    assert.strictEqual(countAfter(inline), 1, 'The least recently used schema should be evicted past the limit');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('SCHEMA FILES WITH THEIR OWN $ID');
+  console.log('='.repeat(60));
+
+  // Test 52: A declared $id is kept, so absolute self-references and relative file refs both resolve
+  await test('Keep the $id a schema file declares', async () => {
+    const dir = path.join(testSchemaPath, 'test/ownid');
+    fs.mkdirSync(path.join(dir, 'shop'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'common'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'common/Money_schema.json'), JSON.stringify({ type: 'integer', minimum: 0 }));
+    fs.writeFileSync(path.join(dir, 'shop/Asset_schema.json'), JSON.stringify({
+      $id: 'https://example.com/schemas/asset.json',
+      type: 'object',
+      definitions: { id: { type: 'string', minLength: 3 } },
+      properties: {
+        id: { $ref: 'https://example.com/schemas/asset.json#/definitions/id' },
+        price: { $ref: '../common/Money_schema.json' },
+      },
+    }));
+
+    const validator = new SchemaValidator(testSchemaPath, { allErrors: true });
+    assert.strictEqual(validator.validateJsonSchemaSync('test/ownid/shop', 'Asset', { id: 'A-1', price: 5 }, { verbose: false }), true);
+    const detailed = validator.validateDetailed('test/ownid/shop', 'Asset', { id: 'A', price: -1 });
+    assert.deepStrictEqual(detailed.errors.map((e) => e.pointer), ['/id', '/price']);
+    assert.strictEqual(validator.validateSync('test/ownid/shop', 'Asset', { id: 'A' }).valid, false);
+    assert.strictEqual(validator.validateDetailed('test/ownid/shop', 'Asset', { id: 'A-1', x: 1 }, { strict: true }).errors[0].keyword,
+      'additionalProperties');
+    assert.strictEqual(validator.validateDetailed('test/ownid/shop', 'Asset', 'A', { schemaPointer: '#/definitions/id' }).valid, false);
+
+    fs.writeFileSync(path.join(dir, 'common/Money_schema.json'), JSON.stringify({ type: 'integer', maximum: 3 }));
+    assert.strictEqual(validator.validateSync('test/ownid/shop', 'Asset', { id: 'A-1', price: 5 }).valid, false,
+      'Changing a referenced file should recompile the schemas that use it');
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('STRICT MODE WITH COMPOSED SCHEMAS');
+  console.log('='.repeat(60));
+
+  // Test 53: allOf branches describe part of an object, so strict mode closes the composing node only
+  await test('Keep allOf branches open in strict mode', async () => {
+    const validator = new SchemaValidator(testSchemaPath);
+    const composed = {
+      type: 'object',
+      definitions: { Base: { type: 'object', properties: { id: { type: 'string' } } } },
+      allOf: [
+        { $ref: '#/definitions/Base' },
+        { type: 'object', properties: { name: { type: 'string' }, meta: { type: 'object', properties: { tag: { type: 'string' } } } } },
+      ],
+    };
+    const body = { id: 'A-1', name: 'Meter', meta: { tag: 'x' } };
+    fs.mkdirSync(path.join(testSchemaPath, 'test/composed'), { recursive: true });
+    for (const [fileName, schema] of [
+      ['Draft07', composed],
+      ['Draft2020', { $schema: 'https://json-schema.org/draft/2020-12/schema', ...composed, $defs: composed.definitions,
+        definitions: undefined, allOf: [{ $ref: '#/$defs/Base' }, composed.allOf[1]] }],
+    ]) {
+      fs.writeFileSync(path.join(testSchemaPath, `test/composed/${fileName}_schema.json`), JSON.stringify(schema));
+      const check = (data) => validator.validateDetailed('test/composed', fileName, data, { strict: true });
+      assert.strictEqual(check(body).valid, true, `${fileName}: properties from every branch should be accepted`);
+      assert.strictEqual(check({ ...body, extra: 1 }).valid, false, `${fileName}: unknown properties should still fail`);
+      assert.strictEqual(check({ ...body, meta: { tag: 'x', debug: true } }).errors[0].pointer, '/meta/debug',
+        `${fileName}: objects inside a branch should still be closed`);
+    }
+  });
+
+  // Test 54: A referenced file keeps its declared $id, whatever is validated first
+  await test('Keep the $id a referenced schema file declares', async () => {
+    const dir = path.join(testSchemaPath, 'test/refid');
+    fs.mkdirSync(path.join(dir, 'shop'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'common'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'common/Currency_schema.json'), JSON.stringify({ type: 'string', enum: ['EUR', 'USD'] }));
+    fs.writeFileSync(path.join(dir, 'common/Money_schema.json'), JSON.stringify({
+      $id: 'https://example.com/money.json',
+      type: 'object',
+      definitions: { amount: { type: 'integer', minimum: 0 } },
+      properties: {
+        amount: { $ref: 'https://example.com/money.json#/definitions/amount' },
+        currency: { $ref: 'Currency_schema.json' },
+      },
+      required: ['amount'],
+    }));
+    fs.writeFileSync(path.join(dir, 'shop/Order_schema.json'), JSON.stringify({
+      type: 'object',
+      properties: { total: { $ref: '../common/Money_schema.json' } },
+    }));
+
+    const order = { total: { amount: 5, currency: 'EUR' } };
+    const badOrder = { total: { amount: -1, currency: 'GBP' } };
+    const orderFirst = new SchemaValidator(testSchemaPath, { allErrors: true });
+    assert.strictEqual(orderFirst.validateDetailed('test/refid/shop', 'Order', order).valid, true,
+      'Absolute refs inside the referenced file should resolve');
+    assert.deepStrictEqual(orderFirst.validateDetailed('test/refid/shop', 'Order', badOrder).errors.map((e) => e.pointer),
+      ['/total/amount', '/total/currency']);
+    assert.strictEqual(orderFirst.validateDetailed('test/refid/common', 'Money', { amount: -1 }).valid, false);
+
+    const moneyFirst = new SchemaValidator(testSchemaPath, { allErrors: true });
+    assert.strictEqual(moneyFirst.validateDetailed('test/refid/common', 'Money', { amount: 1 }).valid, true);
+    assert.strictEqual(moneyFirst.validateDetailed('test/refid/shop', 'Order', badOrder).errors.length, 2,
+      'The result should not depend on which file was validated first');
+  });
+
   // Wait for all tests to finish
   await Promise.allSettled(pendingTests);
 